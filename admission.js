@@ -0,0 +1,136 @@
+// admission.js
+// Admission control for the transports. A request is turned away when:
+//   shed        - the event loop is lagging past shedEventLoopLagMs (p99 over
+//                 the last second), for every transport: 503
+//   capacity    - its transport already has as many clients as allowed
+//                 (sseMaxSubscribers, wsMaxClients, longpollMaxClients): 503
+//   rateLimited - a /poll client is over pollRateLimit requests per second,
+//                 with bursts of up to pollRateBurst: 429
+// Every rejection carries a Retry-After. 0 turns each limit off; all of them
+// are live settings.
+const TRANSPORTS = ["poll", "longpoll", "sse", "ws"];
+
+// Settings capping the concurrent clients of the long-lived transports
+const CAPS = { longpoll: "longpollMaxClients", sse: "sseMaxSubscribers", ws: "wsMaxClients" };
+
+// How often idle rate-limit buckets are forgotten
+const SWEEP_INTERVAL_MS = 10000;
+
+// Token buckets, one per client key, each refilling at `rate` tokens a second
+// up to `burst`
+const createRateLimiter = ({ now }) => {
+  const buckets = new Map();
+  let lastSweep = now();
+
+  const refill = (bucket, t, rate, burst) => {
+    bucket.tokens = Math.min(burst, bucket.tokens + ((t - bucket.updatedAt) / 1000) * rate);
+    bucket.updatedAt = t;
+  };
+
+  // A full bucket is the same as none, so drop those
+  const sweep = (t, rate, burst) => {
+    lastSweep = t;
+    for (const [key, bucket] of buckets) {
+      refill(bucket, t, rate, burst);
+      if (bucket.tokens >= burst) buckets.delete(key);
+    }
+  };
+
+  // Take a token for `key`. Returns 0 when there was one, otherwise the ms
+  // until there will be.
+  const take = (key, rate, burst) => {
+    const t = now();
+    if (t - lastSweep >= SWEEP_INTERVAL_MS) sweep(t, rate, burst);
+
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: t };
+      buckets.set(key, bucket);
+    }
+    refill(bucket, t, rate, burst);
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return ((1 - bucket.tokens) / rate) * 1000;
+  };
+
+  return { take, size: () => buckets.size };
+};
+
+// Options:
+//   config    - live settings (see config.js)
+//   now       - clock for the rate limiter
+//   loopLagMs - the event loop's current lag, e.g. p99 over the last second
+const createAdmission = ({ config, now = Date.now, loopLagMs }) => {
+  const limiter = createRateLimiter({ now });
+  const open = Object.fromEntries(Object.keys(CAPS).map((transport) => [transport, 0]));
+  const rejected = Object.fromEntries(
+    TRANSPORTS.map((transport) => [transport, { shed: 0, capacity: 0, rateLimited: 0 }]),
+  );
+
+  const shedding = () => config.shedEventLoopLagMs > 0 && loopLagMs() > config.shedEventLoopLagMs;
+
+  const reject = (transport, reason, status, retryAfterSeconds, message) => {
+    rejected[transport][reason]++;
+    return { admitted: false, reason, status, retryAfterSeconds, message };
+  };
+
+  // Admit a request on `transport` from `client` (the rate-limit key), or say
+  // why not. On the capped transports an admitted client holds a slot until
+  // release() is called, which is safe to call more than once.
+  const admit = (transport, client) => {
+    if (shedding()) {
+      return reject(transport, "shed", 503, config.retryAfterSeconds, "Server is overloaded, try again later");
+    }
+
+    const cap = CAPS[transport] ? config[CAPS[transport]] : 0;
+    if (cap > 0 && open[transport] >= cap) {
+      return reject(
+        transport,
+        "capacity",
+        503,
+        config.retryAfterSeconds,
+        `Too many ${transport} clients (limit ${cap}), try again later`,
+      );
+    }
+
+    if (transport === "poll" && config.pollRateLimit > 0) {
+      const waitMs = limiter.take(client, config.pollRateLimit, config.pollRateBurst);
+      if (waitMs > 0) {
+        return reject(
+          transport,
+          "rateLimited",
+          429,
+          Math.ceil(waitMs / 1000),
+          `Rate limit of ${config.pollRateLimit} requests per second exceeded`,
+        );
+      }
+    }
+
+    if (!(transport in open)) return { admitted: true, release: () => {} };
+    open[transport]++;
+    let released = false;
+    return {
+      admitted: true,
+      release: () => {
+        if (released) return;
+        released = true;
+        open[transport]--;
+      },
+    };
+  };
+
+  const stats = () => ({
+    shedding: shedding(),
+    open: { ...open },
+    rateLimitedClients: limiter.size(),
+    rejected: Object.fromEntries(
+      Object.entries(rejected).map(([transport, counts]) => [transport, { ...counts }]),
+    ),
+  });
+
+  return { admit, stats };
+};
+
+module.exports = { TRANSPORTS, createRateLimiter, createAdmission };
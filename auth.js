@@ -0,0 +1,169 @@
+// auth.js
+// Optional token auth for /poll and /sse (config.authRequired). A token is
+//   base64url(JSON claims) "." base64url(HMAC-SHA256 of the first part)
+// with claims { sub: identity, exp: expiry in seconds since the epoch }, sent
+// as "Authorization: Bearer <token>" or ?token= (EventSource can't set
+// headers). /poll verifies it on every request, /sse once per connection and
+// ends the stream when it expires, which is the cost difference this measures.
+// authVerifyCostMs adds on-CPU time to every verification, standing in for a
+// heavier check such as an RSA signature or a revocation lookup.
+const crypto = require("crypto");
+const { performance } = require("perf_hooks");
+const { blockFor } = require("./workload");
+
+// Identities are labels in metrics, so keep them short and plain
+const IDENTITY_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const isIdentity = (value) => typeof value === "string" && IDENTITY_PATTERN.test(value);
+
+// Identities tracked one by one; any beyond this share the OTHER entry
+const MAX_IDENTITIES = 1000;
+const OTHER = "(other)";
+
+const TRANSPORTS = ["poll", "sse"];
+
+const sign = (data, secret) => crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+const signToken = ({ sub, exp }, secret) => {
+  const claims = Buffer.from(JSON.stringify({ sub, exp })).toString("base64url");
+  return `${claims}.${sign(claims, secret)}`;
+};
+
+// { identity, expiresAt } (ms) for a valid token, else { reason, message }
+// where reason is "invalid" or "expired"
+const verifyToken = (token, secret, nowMs) => {
+  const [claims, signature, ...rest] = String(token).split(".");
+  if (!claims || !signature || rest.length > 0) {
+    return { reason: "invalid", message: "Malformed token" };
+  }
+  const expected = Buffer.from(sign(claims, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { reason: "invalid", message: "Bad token signature" };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(claims, "base64url").toString());
+  } catch {
+    return { reason: "invalid", message: "Malformed token claims" };
+  }
+  if (!isIdentity(parsed?.sub) || !Number.isFinite(parsed.exp)) {
+    return { reason: "invalid", message: "Token claims need sub and exp" };
+  }
+  if (parsed.exp * 1000 <= nowMs) {
+    return { reason: "expired", message: "Token expired", identity: parsed.sub };
+  }
+  return { identity: parsed.sub, expiresAt: parsed.exp * 1000 };
+};
+
+// Problems with a POST /auth/token body
+const validateTokenRequest = (body) => {
+  const errors = [];
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    return ["Body must be a JSON object"];
+  }
+  if (!isIdentity(body.identity)) {
+    errors.push("identity must be 1-64 letters, digits, dots, dashes or underscores");
+  }
+  if (
+    body.ttlSeconds !== undefined &&
+    !(Number.isInteger(body.ttlSeconds) && body.ttlSeconds >= 1 && body.ttlSeconds <= 86400)
+  ) {
+    errors.push("ttlSeconds must be an integer between 1 and 86400");
+  }
+  return errors;
+};
+
+// Options:
+//   config - settings from config.js. Without an authSecret a random one is
+//            used, so tokens only work on the process that issued them.
+//   now    - clock for issuing tokens and checking their expiry
+const createAuth = ({ config, now = Date.now }) => {
+  const secret = config.authSecret || crypto.randomBytes(32).toString("hex");
+
+  const verifications = Object.fromEntries(
+    TRANSPORTS.map((transport) => [transport, { count: 0, totalMs: 0 }]),
+  );
+  const failures = { missing: 0, invalid: 0, expired: 0 };
+  let expiredStreams = 0;
+  // identity -> counters for the clients that authenticated as it
+  const identities = new Map();
+
+  const forIdentity = (identity) => {
+    const key = identities.has(identity) || identities.size < MAX_IDENTITIES ? identity : OTHER;
+    let entry = identities.get(key);
+    if (!entry) {
+      entry = { poll: 0, sse: 0, updates: 0, openStreams: 0, expiredStreams: 0, lastSeenAt: null };
+      identities.set(key, entry);
+    }
+    return entry;
+  };
+
+  // A token for `identity`, valid for ttlSeconds (authTokenTtlSeconds by default)
+  const issue = (identity, ttlSeconds = config.authTokenTtlSeconds) => {
+    const exp = Math.floor(now() / 1000) + ttlSeconds;
+    return { token: signToken({ sub: identity, exp }, secret), identity, expiresAt: exp * 1000 };
+  };
+
+  // Check the token a request on `transport` carries, from its Authorization
+  // header or ?token=. Returns { identity, expiresAt } or { reason, message }.
+  const authenticate = (transport, { authorization, queryToken }) => {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(authorization || "");
+    const token = bearer ? bearer[1] : queryToken;
+    if (!token) {
+      failures.missing++;
+      return { reason: "missing", message: "A token is required (Authorization: Bearer or ?token=)" };
+    }
+
+    const start = performance.now();
+    if (config.authVerifyCostMs > 0) blockFor(config.authVerifyCostMs);
+    const result = verifyToken(token, secret, now());
+    verifications[transport].count++;
+    verifications[transport].totalMs += performance.now() - start;
+
+    if (result.reason) {
+      failures[result.reason]++;
+      return { reason: result.reason, message: result.message };
+    }
+    const entry = forIdentity(result.identity);
+    entry[transport]++;
+    entry.lastSeenAt = new Date(now()).toISOString();
+    return result;
+  };
+
+  // Per-identity bookkeeping for what happens after authenticating
+  const countUpdates = (identity, count = 1) => (forIdentity(identity).updates += count);
+  const streamOpened = (identity) => forIdentity(identity).openStreams++;
+  const streamClosed = (identity, { expired = false } = {}) => {
+    const entry = forIdentity(identity);
+    entry.openStreams--;
+    if (expired) {
+      entry.expiredStreams++;
+      expiredStreams++;
+    }
+  };
+
+  const stats = () => ({
+    required: config.authRequired,
+    verifyCostMs: config.authVerifyCostMs,
+    verifications: Object.fromEntries(
+      Object.entries(verifications).map(([transport, { count, totalMs }]) => [
+        transport,
+        {
+          count,
+          totalMs: Number(totalMs.toFixed(3)),
+          meanMs: count > 0 ? Number((totalMs / count).toFixed(3)) : 0,
+        },
+      ]),
+    ),
+    failures: { ...failures },
+    expiredStreams,
+    identities: Object.fromEntries(
+      [...identities].map(([identity, entry]) => [identity, { ...entry }]),
+    ),
+  });
+
+  return { issue, authenticate, countUpdates, streamOpened, streamClosed, stats };
+};
+
+module.exports = { signToken, verifyToken, validateTokenRequest, createAuth };
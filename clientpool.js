@@ -0,0 +1,583 @@
+// clientpool.js
+// Simulated clients for every transport, in a pool that can grow and shrink
+// while it runs. loadgen.js drives one fixed-size pool; plan runs (plans.js)
+// resize one phase by phase. forkClientPool() runs the pool in a child process
+// instead, so the clients don't share an event loop with the server under test.
+const http = require("http");
+const https = require("https");
+const http2 = require("http2");
+const zlib = require("zlib");
+const { fork } = require("child_process");
+const { performance, createHistogram } = require("perf_hooks");
+const WebSocket = require("ws");
+
+const MODES = ["poll", "longpoll", "sse", "ws"];
+
+const usToMs = (us) => Number((us / 1000).toFixed(3));
+
+const summarizeLatency = (histogram) => ({
+  count: histogram.count,
+  mean: usToMs(histogram.mean || 0),
+  p50: usToMs(histogram.percentile(50)),
+  p90: usToMs(histogram.percentile(90)),
+  p99: usToMs(histogram.percentile(99)),
+  max: usToMs(histogram.max),
+});
+
+const createModeStats = () => ({
+  connectionsOpened: 0,
+  connectionsFailed: 0,
+  connectionsDropped: 0,
+  requestsSent: 0,
+  messages: 0,
+  // As it arrived, before decompression
+  bytesReceived: 0,
+  dropped: 0,
+  duplicates: 0,
+  shutdownNotices: 0,
+  // SSE streams the server ended because their token expired
+  tokenExpiries: 0,
+  statusCodes: {},
+  errors: {},
+});
+
+const PROTOCOLS = ["http1", "h2"];
+
+// How requests reach the server. Over HTTP/1.1 every client gets a socket of
+// its own, as separate browsers would have. Over HTTP/2 (h2c for http:// URLs)
+// requests are streams spread round-robin over `sessions` connections, as the
+// tabs of one browser would share a connection. Certificates aren't checked,
+// since the server generates a self-signed one. With `compressed`, requests
+// accept gzip and brotli bodies.
+const createConnector = ({ baseUrl, protocol = "http1", sessions: sessionCount = 1, compressed = false }) => {
+  const base = new URL(baseUrl);
+  const secure = base.protocol === "https:";
+  const agent = new (secure ? https : http).Agent({
+    keepAlive: true,
+    maxSockets: Infinity,
+    rejectUnauthorized: false,
+  });
+  const sessions = [];
+  let nextSession = 0;
+
+  // Sessions are opened on first use, and again after one fails or closes
+  const session = () => {
+    const index = nextSession++ % sessionCount;
+    const current = sessions[index];
+    if (current && !current.closed && !current.destroyed) return current;
+    const opened = http2.connect(base, { rejectUnauthorized: false });
+    // Its streams report the failure to their clients
+    opened.on("error", () => {});
+    sessions[index] = opened;
+    return opened;
+  };
+
+  const timeoutError = () => Object.assign(new Error("timeout"), { code: "ETIMEDOUT" });
+
+  // Request `path` (GET unless `method` says otherwise, with an optional
+  // string `body`). `onResponse` gets a readable response with statusCode and
+  // headers, `onError` any failure (including a timeout, in ms). Returns a
+  // function that aborts the request.
+  const request = (path, { method = "GET", headers: extraHeaders = {}, body, timeout } = {}, onResponse, onError) => {
+    const headers = {
+      ...(compressed && { "Accept-Encoding": "br, gzip" }),
+      // HTTP/2 has no chunked encoding; without a length servers may skip the body
+      ...(body !== undefined && { "Content-Length": Buffer.byteLength(body) }),
+      ...extraHeaders,
+    };
+    if (protocol === "h2") {
+      const lowercased = Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]),
+      );
+      const stream = session().request(
+        { ":method": method, ":path": path, ...lowercased },
+        { endStream: body === undefined },
+      );
+      stream.on("response", (responseHeaders) => {
+        stream.statusCode = responseHeaders[":status"];
+        stream.headers = responseHeaders;
+        onResponse(stream);
+      });
+      if (timeout) stream.setTimeout(timeout, () => stream.destroy(timeoutError()));
+      stream.on("error", onError);
+      if (body !== undefined) stream.end(body);
+      return () => stream.destroy();
+    }
+
+    const req = (secure ? https : http).request(
+      new URL(path, base),
+      { method, agent, timeout, headers },
+      onResponse,
+    );
+    req.on("timeout", () => req.destroy(timeoutError()));
+    req.on("error", onError);
+    req.end(body);
+    return () => req.destroy();
+  };
+
+  const get = (path, options, onResponse, onError) =>
+    request(path, { ...options, method: "GET" }, onResponse, onError);
+
+  const close = () => {
+    agent.destroy();
+    sessions.forEach((opened) => opened.destroy());
+  };
+
+  return { base, request, get, close };
+};
+
+const decoders = { gzip: () => zlib.createGunzip(), br: () => zlib.createBrotliDecompress() };
+
+// How long a refused client waits before asking again: the response's
+// Retry-After (in seconds) when it has one, otherwise a second
+const retryDelayMs = (res) => {
+  const seconds = Number(res.headers["retry-after"]);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 1000;
+};
+
+// Options:
+//   baseUrl     - server under test
+//   protocol    - http1 or h2; see createConnector()
+//   sessions    - HTTP/2 connections the clients share
+//   compressed  - accept compressed responses, as browsers do
+//   auth        - poll and SSE clients each get a token from /auth/token
+//                 for the server's authRequired mode, and a new one when it
+//                 expires
+//   timeout     - per-request timeout for poll clients (ms)
+//   clockOffset - server clock minus ours (ms), so push latency measured
+//                 against the server's emit timestamp is correct across hosts
+const createClientPool = ({
+  baseUrl,
+  protocol,
+  sessions,
+  compressed,
+  auth = false,
+  timeout = 10000,
+  clockOffset = 0,
+}) => {
+  const connector = createConnector({ baseUrl, protocol, sessions, compressed });
+  const { base } = connector;
+
+  // Stop functions of running clients, oldest first, per mode
+  const clients = Object.fromEntries(MODES.map((mode) => [mode, []]));
+  const stats = Object.fromEntries(MODES.map((mode) => [mode, createModeStats()]));
+  // Latency samples in microseconds: since the start, and since takeLatency()
+  const latency = Object.fromEntries(MODES.map((mode) => [mode, createHistogram()]));
+  const recentLatency = Object.fromEntries(MODES.map((mode) => [mode, createHistogram()]));
+  const nextIndex = Object.fromEntries(MODES.map((mode) => [mode, 0]));
+
+  const serverNow = () => performance.timeOrigin + performance.now() + clockOffset;
+
+  // Everything a client records goes through here, tagged with its mode
+  const recorder = (mode) => {
+    const modeStats = stats[mode];
+    return {
+      stats: modeStats,
+      latency: (ms) => {
+        const us = Math.max(1, Math.round(ms * 1000));
+        latency[mode].record(us);
+        recentLatency[mode].record(us);
+      },
+      error: (err) => {
+        const key = err.code || err.message;
+        modeStats.errors[key] = (modeStats.errors[key] || 0) + 1;
+      },
+      status: (status) => {
+        modeStats.statusCodes[status] = (modeStats.statusCodes[status] || 0) + 1;
+      },
+    };
+  };
+
+  // Track the update sequence a push client sees on its topic, counting gaps
+  // and repeats
+  const trackSequence = (record, client, value) => {
+    if (client.lastValue !== null) {
+      if (value > client.lastValue + 1) {
+        record.stats.dropped += value - client.lastValue - 1;
+      } else if (value <= client.lastValue) {
+        record.stats.duplicates++;
+      }
+    }
+    client.lastValue = Math.max(value, client.lastValue ?? value);
+  };
+
+  // A response's body, decompressed if the server compressed it. Counts the
+  // bytes as they arrive, so it starts the response flowing.
+  const readBody = (record, res) => {
+    res.on("data", (chunk) => (record.stats.bytesReceived += chunk.length));
+    const decoder = decoders[res.headers["content-encoding"]];
+    return decoder ? res.pipe(decoder()) : res;
+  };
+
+  // Pass `then` a token for the client, issued under its id, or null without
+  // `auth`
+  const withToken = (record, client, then) => {
+    if (!auth) {
+      then(null);
+      return;
+    }
+    connector.request(
+      "/auth/token",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ identity: client.id }),
+        timeout,
+      },
+      (res) => {
+        let body = "";
+        const decoded = readBody(record, res);
+        decoded.setEncoding("utf8");
+        decoded.on("data", (chunk) => (body += chunk));
+        decoded.on("end", () => {
+          if (!client.active) return;
+          if (res.statusCode === 200) then(JSON.parse(body).token);
+          else record.error(new Error(`token request failed with ${res.statusCode}`));
+        });
+      },
+      (err) => {
+        if (client.active) record.error(err);
+      },
+    );
+  };
+
+  const handlePushMessage = (record, client, raw) => {
+    const payload = JSON.parse(raw);
+    record.stats.messages++;
+    record.latency(serverNow() - payload.data.timestamp);
+    trackSequence(record, client, payload.data.value);
+  };
+
+  // Each starter begins one client and returns a function that stops it.
+  // `client.active` goes false once stopped, so teardown isn't counted as errors.
+
+  // Short polling: fire a request every `interval` ms regardless of whether the
+  // previous one has finished, exactly like the browser test's setInterval
+  const startPollClient = (record, client, { topic, interval, conditional }) => {
+    let etag = null;
+    let authorization = null;
+    let refreshing = false;
+    // Expired tokens are answered with 401; one refresh covers every poll
+    const refreshToken = () => {
+      if (refreshing) return;
+      refreshing = true;
+      withToken(record, client, (token) => {
+        refreshing = false;
+        authorization = token && `Bearer ${token}`;
+      });
+    };
+    refreshToken();
+
+    const tick = () => {
+      const startTime = performance.now();
+      // Its own id, so the server can rate limit clients one by one
+      const headers = { "X-Client-Id": client.id };
+      if (conditional && etag) headers["If-None-Match"] = etag;
+      if (authorization) headers.Authorization = authorization;
+      record.stats.requestsSent++;
+
+      connector.get(
+        `/poll?key=${topic}`,
+        { headers, timeout },
+        (res) => {
+          record.status(res.statusCode);
+          if (res.statusCode === 401 && auth) refreshToken();
+          if (res.headers.etag) etag = res.headers.etag;
+          readBody(record, res).resume();
+          res.on("end", () => {
+            if (res.statusCode === 200 || res.statusCode === 304) {
+              record.stats.messages++;
+              record.latency(performance.now() - startTime);
+            }
+          });
+        },
+        (err) => {
+          if (client.active) record.error(err);
+        },
+      );
+    };
+
+    const intervalId = setInterval(tick, interval);
+    return () => clearInterval(intervalId);
+  };
+
+  // Long polling: keep one request open, re-issuing it with the last value seen
+  const startLongPollClient = (record, client, { topic }) => {
+    let abort = null;
+
+    const next = () => {
+      if (!client.active) return;
+      const query = client.lastValue === null ? "" : `&value=${client.lastValue}`;
+      record.stats.requestsSent++;
+
+      abort = connector.get(
+        `/longpoll?key=${topic}${query}`,
+        {},
+        (res) => {
+          record.status(res.statusCode);
+          let body = "";
+          const decoded = readBody(record, res);
+          decoded.setEncoding("utf8");
+          decoded.on("data", (chunk) => (body += chunk));
+          decoded.on("end", () => {
+            if (res.statusCode === 200) {
+              const payload = JSON.parse(body);
+              record.stats.messages++;
+              record.latency(serverNow() - payload.data.timestamp);
+              trackSequence(record, client, payload.data.value);
+            }
+            // Anything but an update or a timeout (503, 429, 400, ...) was a
+            // refusal; asking again straight away would only be refused again
+            if (res.statusCode === 200 || res.statusCode === 204) next();
+            else setTimeout(next, retryDelayMs(res));
+          });
+        },
+        (err) => {
+          if (!client.active) return;
+          record.error(err);
+          setTimeout(next, 1000);
+        },
+      );
+    };
+
+    next();
+    return () => abort && abort();
+  };
+
+  // SSE: one long-lived stream per client, parsed frame by frame. A stalled
+  // client never reads, so the server sees its socket back up. When the
+  // server ends the stream because its token expired, the client reconnects
+  // with a new one, resuming after the last update it saw.
+  const startSseClient = (record, client, { topic, stalled }) => {
+    let responded = false;
+    let expired = false;
+    let abort = () => {};
+
+    const connect = () =>
+      withToken(record, client, (token) => {
+        responded = false;
+        expired = false;
+        const query = [
+          `topics=${topic}`,
+          ...(token ? [`token=${token}`] : []),
+          ...(client.lastValue !== null ? [`lastEventId=${client.lastValue}`] : []),
+        ].join("&");
+        abort = connector.get(`/sse?${query}`, {}, onResponse, onError);
+      });
+
+    const onResponse = (res) => {
+      responded = true;
+      record.status(res.statusCode);
+      if (res.statusCode !== 200) {
+        record.stats.connectionsFailed++;
+        res.resume();
+        return;
+      }
+      record.stats.connectionsOpened++;
+      res.on("close", () => {
+        if (!client.active) return;
+        if (expired) connect();
+        else record.stats.connectionsDropped++;
+      });
+
+      if (stalled) {
+        res.pause();
+        return;
+      }
+
+      let buffer = "";
+      const decoded = readBody(record, res);
+      decoded.setEncoding("utf8");
+      decoded.on("data", (chunk) => {
+        buffer += chunk;
+        let boundary;
+        while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+          const lines = buffer.slice(0, boundary).split("\n");
+          buffer = buffer.slice(boundary + 2);
+          const event = lines.find((line) => line.startsWith("event:"));
+          const data = lines
+            .filter((line) => line.startsWith("data:"))
+            .map((line) => line.slice(5).trimStart())
+            .join("\n");
+          // Sent by a server that is shutting down, right before it ends the stream
+          const name = event && event.slice(6).trim();
+          if (name === "shutdown") record.stats.shutdownNotices++;
+          // Sent right before the server ends a stream whose token expired
+          else if (name === "expired") {
+            record.stats.tokenExpiries++;
+            expired = true;
+          } else if (data) handlePushMessage(record, client, data);
+        }
+      });
+    };
+
+    const onError = (err) => {
+      if (!client.active) return;
+      if (!responded) record.stats.connectionsFailed++;
+      record.error(err);
+    };
+
+    connect();
+    return () => abort();
+  };
+
+  // WebSocket: same as SSE over /ws. Always HTTP/1.1, which has the upgrade
+  // mechanism; an h2c server can't take these.
+  const startWsClient = (record, client, { topic }) => {
+    const wsUrl = new URL(`/ws?topics=${topic}`, base);
+    wsUrl.protocol = base.protocol === "https:" ? "wss:" : "ws:";
+
+    const ws = new WebSocket(wsUrl, { rejectUnauthorized: false });
+    let opened = false;
+
+    ws.on("open", () => {
+      opened = true;
+      record.stats.connectionsOpened++;
+    });
+    ws.on("message", (raw) => {
+      record.stats.bytesReceived += raw.length;
+      handlePushMessage(record, client, raw.toString());
+    });
+    ws.on("close", () => {
+      if (client.active && opened) record.stats.connectionsDropped++;
+    });
+    ws.on("error", (err) => {
+      if (!client.active) return;
+      if (!opened) record.stats.connectionsFailed++;
+      record.error(err);
+    });
+
+    return () => ws.terminate();
+  };
+
+  const starters = {
+    poll: startPollClient,
+    longpoll: startLongPollClient,
+    sse: startSseClient,
+    ws: startWsClient,
+  };
+
+  // Grow or shrink `mode` to `count` clients; the newest go first. Options
+  // apply to clients started now:
+  //   interval    - ms between requests for poll clients
+  //   topics      - spread clients round-robin over topics t0..t{topics-1}
+  //   conditional - poll clients send If-None-Match with the last ETag
+  //   stalled     - SSE clients connect but never read
+  const resize = (mode, count, { interval = 300, topics = 1, conditional = false, stalled = false } = {}) => {
+    const running = clients[mode];
+    while (running.length > count) running.pop()();
+    while (running.length < count) {
+      const index = nextIndex[mode]++;
+      const client = { id: `${process.pid}-${mode}-${index}`, active: true, lastValue: null };
+      const topic = `t${index % topics}`;
+      const stop = starters[mode](recorder(mode), client, { topic, interval, conditional, stalled });
+      running.push(() => {
+        client.active = false;
+        stop();
+      });
+    }
+  };
+
+  const counts = () =>
+    Object.fromEntries(MODES.map((mode) => [mode, clients[mode].length]));
+
+  // Counters and latency since the start, per mode
+  const snapshot = () =>
+    Object.fromEntries(
+      MODES.map((mode) => [
+        mode,
+        {
+          clients: clients[mode].length,
+          ...stats[mode],
+          latencyMs: summarizeLatency(latency[mode]),
+        },
+      ]),
+    );
+
+  // Latency per mode since the last call, for timelines
+  const takeLatency = () =>
+    Object.fromEntries(
+      MODES.map((mode) => {
+        const summary = summarizeLatency(recentLatency[mode]);
+        recentLatency[mode].reset();
+        return [mode, summary];
+      }),
+    );
+
+  const close = async () => {
+    MODES.forEach((mode) => resize(mode, 0));
+    connector.close();
+  };
+
+  return { resize, counts, stats: snapshot, takeLatency, close };
+};
+
+// The same pool in a child process, driven over IPC. stats() and
+// takeLatency() resolve with the child's answer, or reject if the child
+// exits first.
+const forkClientPool = (options) => {
+  const child = fork(__filename, [], { stdio: ["ignore", "inherit", "inherit", "ipc"] });
+  const pending = new Map();
+  let requestId = 0;
+
+  child.on("message", (message) => {
+    const request = pending.get(message.id);
+    if (!request) return;
+    pending.delete(message.id);
+    request.resolve(message.result);
+  });
+
+  // An answer that hasn't come by now never will
+  child.on("exit", (code, signal) => {
+    const err = new Error(`Client pool process exited (${signal || `code ${code}`})`);
+    pending.forEach((request) => request.reject(err));
+    pending.clear();
+  });
+
+  const request = (type) =>
+    new Promise((resolve, reject) => {
+      if (!child.connected) {
+        reject(new Error("Client pool process has exited"));
+        return;
+      }
+      const id = ++requestId;
+      pending.set(id, { resolve, reject });
+      child.send({ type, id });
+    });
+
+  child.send({ type: "start", options });
+
+  return {
+    resize: (mode, count, clientOptions) => {
+      if (child.connected) child.send({ type: "resize", mode, count, options: clientOptions });
+    },
+    stats: () => request("stats"),
+    takeLatency: () => request("takeLatency"),
+    close: async () => {
+      if (!child.connected) return;
+      const exited = new Promise((resolve) => child.once("exit", resolve));
+      child.send({ type: "close" });
+      await exited;
+    },
+  };
+};
+
+// Child side of forkClientPool()
+if (require.main === module && process.send) {
+  let pool = null;
+
+  process.on("message", async (message) => {
+    if (message.type === "start") {
+      pool = createClientPool(message.options);
+    } else if (message.type === "resize") {
+      pool.resize(message.mode, message.count, message.options);
+    } else if (message.type === "stats" || message.type === "takeLatency") {
+      process.send({ id: message.id, result: pool[message.type]() });
+    } else if (message.type === "close") {
+      await pool.close();
+      process.exit(0);
+    }
+  });
+}
+
+module.exports = { MODES, PROTOCOLS, createConnector, createClientPool, forkClientPool };
@@ -0,0 +1,252 @@
+// cluster.js
+// Opt-in multi-process mode (CLUSTER_WORKERS=N). The primary owns the one real
+// data source and relays it to the workers over IPC: updates are broadcast to
+// every worker, lookups are forwarded to the primary and answered from there.
+// Workers ask the primary to gather per-worker stats for /metrics.
+const cluster = require("cluster");
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { createDataSource } = require("./datasources");
+const { createLogger } = require("./logger");
+const { ensureCertificate } = require("./protocols");
+
+// Message types exchanged between primary and workers
+const MSG = {
+  UPDATE: "pressure:update",
+  GET: "pressure:get",
+  GET_RESULT: "pressure:get-result",
+  STATS: "pressure:stats",
+  STATS_RESULT: "pressure:stats-result",
+  COLLECT: "pressure:collect",
+  COLLECT_RESULT: "pressure:collect-result",
+  BROADCAST: "pressure:broadcast",
+  CONFIGURE: "pressure:configure",
+};
+
+// How long the primary waits for workers to report their stats
+const COLLECT_TIMEOUT = 1000;
+
+// How long a worker waits for the primary to answer a request; longer than
+// COLLECT_TIMEOUT so a stats request can still be answered
+const REQUEST_TIMEOUT = 5000;
+
+const isWorker = () => cluster.isWorker;
+
+// Primary
+
+const runPrimary = (config) => {
+  const workerCount = config.clusterWorkers;
+  // Workers must sign tokens alike, so a missing authSecret is made up once here
+  const workerEnv = config.authSecret ? {} : { AUTH_SECRET: crypto.randomBytes(32).toString("hex") };
+  // Same JSON lines as the workers' loggers, so the output reads as one log
+  const logger = createLogger({
+    level: config.logLevel,
+    flushIntervalMs: config.logFlushIntervalMs,
+    maxBufferBytes: config.logMaxBufferBytes,
+  });
+  const source = createDataSource(config, { logger });
+  let collectId = 0;
+
+  const broadcast = (message, except) => {
+    for (const worker of Object.values(cluster.workers)) {
+      if (worker !== except && worker.isConnected()) worker.send(message);
+    }
+  };
+
+  source.subscribe((update) => broadcast({ type: MSG.UPDATE, update }));
+
+  // Ask every worker for its stats and reply to the one that asked
+  const collectStats = (requester, id) => {
+    const workers = Object.values(cluster.workers).filter((w) => w.isConnected());
+    const reportId = ++collectId;
+    const reports = [];
+
+    const finish = () => {
+      clearTimeout(timer);
+      cluster.removeListener("message", onReport);
+      if (requester.isConnected()) {
+        requester.send({ type: MSG.STATS_RESULT, id, workers: reports });
+      }
+    };
+
+    const onReport = (worker, message) => {
+      if (message.type !== MSG.COLLECT_RESULT || message.id !== reportId) return;
+      reports.push({ id: worker.id, ...message.stats });
+      if (reports.length === workers.length) finish();
+    };
+
+    const timer = setTimeout(finish, COLLECT_TIMEOUT);
+    cluster.on("message", onReport);
+    workers.forEach((worker) => worker.send({ type: MSG.COLLECT, id: reportId }));
+  };
+
+  cluster.on("message", (worker, message) => {
+    if (!message || typeof message !== "object") return;
+
+    if (message.type === MSG.GET) {
+      source
+        .get(message.topic)
+        .then((data) => worker.send({ type: MSG.GET_RESULT, id: message.id, data }))
+        .catch((err) =>
+          worker.send({ type: MSG.GET_RESULT, id: message.id, error: err.message }),
+        );
+    } else if (message.type === MSG.STATS) {
+      collectStats(worker, message.id);
+    } else if (message.type === MSG.BROADCAST) {
+      broadcast(message.message, worker);
+    } else if (message.type === MSG.CONFIGURE) {
+      source.configure(message.options);
+    }
+  });
+
+  // On SIGTERM/SIGINT each worker drains itself; the primary stops
+  // restarting them and exits once they are all gone
+  let stopping = false;
+  const stop = (signal) => {
+    if (stopping) process.exit(1);
+    stopping = true;
+    logger.info("stopping workers", { signal });
+    // SIGINT from a terminal already reached the workers; SIGTERM may not have
+    if (signal === "SIGTERM") {
+      Object.values(cluster.workers).forEach((worker) => worker.process.kill("SIGTERM"));
+    }
+  };
+  process.on("SIGTERM", stop);
+  process.on("SIGINT", stop);
+
+  cluster.on("exit", (worker, code, signal) => {
+    if (stopping) {
+      if (Object.keys(cluster.workers).length === 0) {
+        source.close().finally(() => process.exit(0));
+      }
+      return;
+    }
+    logger.warn("worker exited, restarting", { workerPid: worker.process.pid, code, signal });
+    cluster.fork(workerEnv);
+  });
+
+  // Generate a missing certificate once, not in every worker at the same time
+  if (config.httpProtocol === "h2") ensureCertificate(config);
+
+  logger.info("primary starting workers", { pid: process.pid, workers: workerCount });
+  for (let i = 0; i < workerCount; i++) {
+    cluster.fork(workerEnv);
+  }
+
+  source.ready
+    .then(() => logger.info("data source ready", { dataSource: source.name }))
+    .catch((err) => logger.error("data source failed to start", { dataSource: source.name, error: err.message }));
+};
+
+// Worker
+
+// Pending request/response exchanges with the primary, by id
+const pending = new Map();
+let requestId = 0;
+const messageHandlers = new Map();
+
+// Rejects after REQUEST_TIMEOUT if the reply never comes (e.g. the primary is
+// busy or the message was lost), so callers aren't left waiting forever
+const requestPrimary = (message) =>
+  new Promise((resolve, reject) => {
+    const id = ++requestId;
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error(`No reply from the primary to ${message.type} within ${REQUEST_TIMEOUT}ms`));
+    }, REQUEST_TIMEOUT);
+    const settle = (callback) => (value) => {
+      clearTimeout(timer);
+      callback(value);
+    };
+    pending.set(id, { resolve: settle(resolve), reject: settle(reject) });
+    process.send({ ...message, id });
+  });
+
+if (cluster.isWorker) {
+  process.on("message", (message) => {
+    if (!message || typeof message !== "object") return;
+
+    if (message.type === MSG.GET_RESULT || message.type === MSG.STATS_RESULT) {
+      const request = pending.get(message.id);
+      if (!request) return;
+      pending.delete(message.id);
+      if (message.error) request.reject(new Error(message.error));
+      else request.resolve(message.type === MSG.GET_RESULT ? message.data : message.workers);
+    } else if (messageHandlers.has(message.type)) {
+      messageHandlers.get(message.type)(message);
+    }
+  });
+}
+
+// A data source that proxies to the primary's over IPC
+const createIpcDataSource = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  messageHandlers.set(MSG.UPDATE, (message) => emitter.emit("update", message.update));
+
+  return {
+    name: "ipc",
+    ready: Promise.resolve(),
+    get: (topic) => requestPrimary({ type: MSG.GET, topic }),
+    configure: (options) => process.send({ type: MSG.CONFIGURE, options }),
+    subscribe: (listener) => {
+      emitter.on("update", listener);
+      return () => emitter.removeListener("update", listener);
+    },
+    close: async () => {
+      messageHandlers.delete(MSG.UPDATE);
+      emitter.removeAllListeners();
+    },
+  };
+};
+
+// Answer the primary's stats collection with this worker's own numbers
+const reportWorkerStats = (getStats) => {
+  messageHandlers.set(MSG.COLLECT, (message) => {
+    process.send({ type: MSG.COLLECT_RESULT, id: message.id, stats: getStats() });
+  });
+};
+
+// Stats from every worker, gathered by the primary, plus cluster-wide totals
+const clusterStats = async () => {
+  const workers = await requestPrimary({ type: MSG.STATS });
+  workers.sort((a, b) => a.id - b.id);
+
+  const sum = (pick) => workers.reduce((total, worker) => total + pick(worker), 0);
+  return {
+    workers,
+    totals: {
+      cpuUsage: {
+        user: sum((w) => w.cpuUsage.user),
+        system: sum((w) => w.cpuUsage.system),
+      },
+      memoryUsage: {
+        rss: sum((w) => w.memoryUsage.rss),
+        heapUsed: sum((w) => w.memoryUsage.heapUsed),
+      },
+      activeRequests: sum((w) => w.activeRequests),
+      sseSubscribers: sum((w) => w.sseSubscribers),
+      wsClients: sum((w) => w.wsClients),
+    },
+  };
+};
+
+// Send a message to every other worker; `onBroadcast` receives them by type
+const broadcastToWorkers = (message) => {
+  process.send({ type: MSG.BROADCAST, message });
+};
+
+const onBroadcast = (type, handler) => {
+  messageHandlers.set(type, handler);
+};
+
+module.exports = {
+  isWorker,
+  runPrimary,
+  createIpcDataSource,
+  reportWorkerStats,
+  clusterStats,
+  broadcastToWorkers,
+  onBroadcast,
+};
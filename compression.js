@@ -0,0 +1,103 @@
+// compression.js
+// Response compression: whole bodies for /poll (pollCompression) and one
+// compressor per /sse stream (sseCompression). Settings:
+//   off       - never compress
+//   gzip, br  - that encoding, when the client accepts it
+//   auto      - br when the client accepts it, else gzip
+// Brotli runs at quality 4 rather than its default of 11, which is meant for
+// static assets and far too slow for per-response use.
+const zlib = require("zlib");
+const { promisify } = require("util");
+
+const SETTINGS = ["off", "gzip", "br", "auto"];
+
+const BROTLI_OPTIONS = {
+  params: {
+    [zlib.constants.BROTLI_PARAM_QUALITY]: 4,
+    [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+  },
+};
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+const compressors = {
+  gzip: (body) => gzip(body),
+  br: (body) => brotliCompress(body, BROTLI_OPTIONS),
+};
+
+// The encoding to use for `req` under `setting`, or null for none. Ours is
+// the preference order; the client's only decides what it accepts.
+const chooseEncoding = (req, setting) => {
+  if (setting === "off") return null;
+  const candidates = setting === "auto" ? ["br", "gzip"] : [setting];
+  return candidates.find((encoding) => req.acceptsEncodings(encoding) === encoding) || null;
+};
+
+// Resolves with `body` (a string) compressed as `encoding`
+const compress = (body, encoding) => compressors[encoding](body);
+
+// A writer for an event stream that compresses as `encoding` (or not, when
+// null) and flushes after every write, so each event reaches the client at
+// once instead of waiting for the compressor to fill a block. It has the parts
+// of the response /sse uses: write() returns false and "drain" follows when
+// the client is backed up, and writableLength counts bytes not yet sent,
+// whether still in the compressor or already compressed.
+// `onBytes(uncompressed, sent)` reports every chunk written.
+const createStreamWriter = (res, encoding, onBytes) => {
+  if (!encoding) {
+    return {
+      write: (chunk) => {
+        const bytes = Buffer.byteLength(chunk);
+        onBytes(bytes, bytes);
+        return res.write(chunk);
+      },
+      end: (chunk) => {
+        if (chunk) onBytes(Buffer.byteLength(chunk), Buffer.byteLength(chunk));
+        res.end(chunk);
+      },
+      once: (event, listener) => res.once(event, listener),
+      destroy: () => res.destroy(),
+      get writableLength() {
+        return res.writableLength;
+      },
+      get writableEnded() {
+        return res.writableEnded;
+      },
+    };
+  }
+
+  const compressor = encoding === "br" ? zlib.createBrotliCompress(BROTLI_OPTIONS) : zlib.createGzip();
+  const flushKind =
+    encoding === "br" ? zlib.constants.BROTLI_OPERATION_FLUSH : zlib.constants.Z_SYNC_FLUSH;
+  compressor.on("data", (chunk) => onBytes(0, chunk.length));
+  compressor.pipe(res);
+  // The client went away; nothing more to compress
+  res.on("close", () => compressor.destroy());
+
+  return {
+    write: (chunk) => {
+      onBytes(Buffer.byteLength(chunk), 0);
+      const accepted = compressor.write(chunk);
+      compressor.flush(flushKind);
+      return accepted;
+    },
+    end: (chunk) => {
+      if (chunk) onBytes(Buffer.byteLength(chunk), 0);
+      compressor.end(chunk);
+    },
+    once: (event, listener) => compressor.once(event, listener),
+    destroy: () => {
+      compressor.destroy();
+      res.destroy();
+    },
+    get writableLength() {
+      return compressor.writableLength + compressor.readableLength + res.writableLength;
+    },
+    get writableEnded() {
+      return compressor.writableEnded;
+    },
+  };
+};
+
+module.exports = { SETTINGS, chooseEncoding, compress, createStreamWriter };
@@ -0,0 +1,252 @@
+// config.js
+// Runtime configuration. Every setting has a default that can be overridden,
+// in increasing order of precedence, by a JSON config file (--config=<path> or
+// CONFIG_FILE), environment variables and command-line flags. Settings marked
+// `live` can also be changed on a running server through PUT /config.
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { LEVELS, checkSampling } = require("./logger");
+const { PROTOCOLS } = require("./protocols");
+const { SHAPES } = require("./payloads");
+const { SETTINGS: COMPRESSION } = require("./compression");
+
+// type is "integer", "string", "boolean" or "enum" (one of `values`).
+// `check` optionally returns a problem with a string value.
+// The CLI flag is the kebab-case key: updateIntervalMs -> --update-interval-ms
+const SETTINGS = {
+  port: { env: "PORT", type: "integer", default: 3000, min: 0, max: 65535 },
+  clusterWorkers: { env: "CLUSTER_WORKERS", type: "integer", default: 0, min: 0, max: 256 },
+
+  // HTTP version (see protocols.js). h2 serves TLS with tlsCertFile and
+  // tlsKeyFile, generating a self-signed pair when neither exists.
+  httpProtocol: { env: "HTTP_PROTOCOL", type: "enum", values: PROTOCOLS, default: "http1" },
+  tlsCertFile: { env: "TLS_CERT_FILE", type: "string", default: path.join(__dirname, ".certs", "localhost-cert.pem") },
+  tlsKeyFile: { env: "TLS_KEY_FILE", type: "string", default: path.join(__dirname, ".certs", "localhost-key.pem") },
+  http2MaxConcurrentStreams: { env: "HTTP2_MAX_CONCURRENT_STREAMS", type: "integer", default: 1000, min: 1, max: 1000000 },
+
+  // Data source
+  dataSource: { env: "DATA_SOURCE", type: "enum", values: ["memory", "redis"], default: "memory" },
+  updateIntervalMs: { env: "UPDATE_INTERVAL_MS", type: "integer", default: 1000, min: 1, max: 60000, live: true },
+  lookupDelayMs: { env: "LOOKUP_DELAY_MS", type: "integer", default: 5, min: 0, max: 10000, live: true },
+  // Independent topics t0..t{topicCount-1}, each updated every tick (see topics.js)
+  topicCount: { env: "TOPIC_COUNT", type: "integer", default: 1, min: 1, max: 100000 },
+  redisUrl: { env: "REDIS_URL", type: "string", default: "redis://localhost:6379" },
+  redisKey: { env: "REDIS_KEY", type: "string", default: "pressure:current" },
+  redisChannel: { env: "REDIS_CHANNEL", type: "string", default: "pressure:updates" },
+  redisProducer: { env: "REDIS_PRODUCER", type: "boolean", default: true },
+
+  // Responses
+  pollDelayMs: { env: "POLL_DELAY_MS", type: "integer", default: 20, min: 0, max: 10000, live: true },
+  pollCacheTtlMs: { env: "POLL_CACHE_TTL_MS", type: "integer", default: 100, min: 0, max: 60000 },
+  longpollTimeoutMs: { env: "LONGPOLL_TIMEOUT_MS", type: "integer", default: 30000, min: 1, max: 300000, live: true },
+  // Synthetic payload added to every update message, to study size, shape and
+  // churn between updates (see payloads.js)
+  payloadBytes: { env: "PAYLOAD_BYTES", type: "integer", default: 0, min: 0, max: 1048576, live: true },
+  payloadShape: { env: "PAYLOAD_SHAPE", type: "enum", values: SHAPES, default: "filler", live: true },
+  payloadChurnPercent: { env: "PAYLOAD_CHURN_PERCENT", type: "integer", default: 10, min: 0, max: 100, live: true },
+  // Compression of /poll bodies and /sse streams (see compression.js); /poll
+  // bodies smaller than compressionMinBytes go out as they are
+  pollCompression: { env: "POLL_COMPRESSION", type: "enum", values: COMPRESSION, default: "off", live: true },
+  sseCompression: { env: "SSE_COMPRESSION", type: "enum", values: COMPRESSION, default: "off", live: true },
+  compressionMinBytes: { env: "COMPRESSION_MIN_BYTES", type: "integer", default: 1024, min: 0, max: 1048576, live: true },
+
+  // SSE
+  sseRetryMs: { env: "SSE_RETRY_MS", type: "integer", default: 3000, min: 1, max: 600000, live: true },
+  sseHeartbeatMs: { env: "SSE_HEARTBEAT_MS", type: "integer", default: 15000, min: 0, max: 600000, live: true },
+  sseReplaySize: { env: "SSE_REPLAY_SIZE", type: "integer", default: 100, min: 1, max: 100000, live: true },
+  sseSlowPolicy: { env: "SSE_SLOW_POLICY", type: "enum", values: ["buffer", "latest", "disconnect"], default: "buffer", live: true },
+  sseMaxBufferBytes: { env: "SSE_MAX_BUFFER_BYTES", type: "integer", default: 1024 * 1024, min: 1, max: 1024 * 1024 * 1024, live: true },
+
+  // Admission control (see admission.js); 0 turns each limit off. /poll is
+  // rate limited per IP, or per X-Client-Id header (or ?clientId=) with
+  // pollRateLimitBy "client", falling back to the IP when there is none.
+  pollRateLimit: { env: "POLL_RATE_LIMIT", type: "integer", default: 0, min: 0, max: 100000, live: true },
+  pollRateBurst: { env: "POLL_RATE_BURST", type: "integer", default: 10, min: 1, max: 100000, live: true },
+  pollRateLimitBy: { env: "POLL_RATE_LIMIT_BY", type: "enum", values: ["ip", "client"], default: "ip", live: true },
+  sseMaxSubscribers: { env: "SSE_MAX_SUBSCRIBERS", type: "integer", default: 0, min: 0, max: 1000000, live: true },
+  wsMaxClients: { env: "WS_MAX_CLIENTS", type: "integer", default: 0, min: 0, max: 1000000, live: true },
+  longpollMaxClients: { env: "LONGPOLL_MAX_CLIENTS", type: "integer", default: 0, min: 0, max: 1000000, live: true },
+  shedEventLoopLagMs: { env: "SHED_EVENT_LOOP_LAG_MS", type: "integer", default: 0, min: 0, max: 60000, live: true },
+  // Retry-After on 503s for capacity and load shedding
+  retryAfterSeconds: { env: "RETRY_AFTER_SECONDS", type: "integer", default: 5, min: 1, max: 3600, live: true },
+
+  // Token auth on /poll and /sse (see auth.js). Without authSecret each
+  // process signs with a random secret; a cluster's primary shares one.
+  // Startup-only: PUT /config is unauthenticated, so it mustn't turn auth off.
+  authRequired: { env: "AUTH_REQUIRED", type: "boolean", default: false },
+  authSecret: { env: "AUTH_SECRET", type: "string", default: "" },
+  authTokenTtlSeconds: { env: "AUTH_TOKEN_TTL_SECONDS", type: "integer", default: 300, min: 1, max: 86400 },
+  authVerifyCostMs: { env: "AUTH_VERIFY_COST_MS", type: "integer", default: 0, min: 0, max: 1000 },
+
+  // Observability
+  metricsStreamIntervalMs: { env: "METRICS_STREAM_INTERVAL_MS", type: "integer", default: 1000, min: 100, max: 60000, live: true },
+  cpuLogIntervalMs: { env: "CPU_LOG_INTERVAL_MS", type: "integer", default: 5000, min: 0, max: 3600000 },
+  runsFile: { env: "RUNS_FILE", type: "string", default: path.join(__dirname, "runs.ndjson") },
+  runSampleIntervalMs: { env: "RUN_SAMPLE_INTERVAL_MS", type: "integer", default: 1000, min: 100, max: 60000 },
+
+  // Logging (see logger.js). logLevel=off turns logging off entirely;
+  // logSampling keeps a fraction of requests per route, e.g. "/poll=0.01"
+  logLevel: { env: "LOG_LEVEL", type: "enum", values: Object.keys(LEVELS), default: "info", live: true },
+  logSampling: { env: "LOG_SAMPLING", type: "string", default: "", check: checkSampling, live: true },
+  logFlushIntervalMs: { env: "LOG_FLUSH_INTERVAL_MS", type: "integer", default: 100, min: 1, max: 10000 },
+  logMaxBufferBytes: { env: "LOG_MAX_BUFFER_BYTES", type: "integer", default: 1024 * 1024, min: 1024, max: 1024 * 1024 * 1024 },
+
+  // Graceful shutdown: how long in-flight requests get to finish, and the
+  // retry hint sent to SSE clients in the final shutdown event
+  shutdownTimeoutMs: { env: "SHUTDOWN_TIMEOUT_MS", type: "integer", default: 10000, min: 0, max: 600000 },
+  shutdownRetryMs: { env: "SHUTDOWN_RETRY_MS", type: "integer", default: 1000, min: 1, max: 600000 },
+
+  // Defaults for test clients (dashboard and loadgen)
+  clientCount: { env: "CLIENT_COUNT", type: "integer", default: 100, min: 1, max: 100000, live: true },
+  clientIntervalMs: { env: "CLIENT_INTERVAL_MS", type: "integer", default: 300, min: 1, max: 60000, live: true },
+};
+
+const DEFAULT_CONFIG = Object.fromEntries(
+  Object.entries(SETTINGS).map(([key, setting]) => [key, setting.default]),
+);
+
+const toFlag = (key) => key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+
+// Convert a raw value (a string from env or CLI, or a JSON value) to the
+// setting's type. Returns { value } or { error }.
+const parseSetting = (key, raw) => {
+  const setting = SETTINGS[key];
+
+  if (setting.type === "integer") {
+    const value = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+    if (!Number.isInteger(value)) return { error: `${key} must be an integer` };
+    if (value < setting.min || value > setting.max) {
+      return { error: `${key} must be between ${setting.min} and ${setting.max}` };
+    }
+    return { value };
+  }
+
+  if (setting.type === "boolean") {
+    if (raw === true || raw === "true") return { value: true };
+    if (raw === false || raw === "false") return { value: false };
+    return { error: `${key} must be true or false` };
+  }
+
+  if (typeof raw !== "string") return { error: `${key} must be a string` };
+  if (setting.type === "enum" && !setting.values.includes(raw)) {
+    return { error: `${key} must be one of: ${setting.values.join(", ")}` };
+  }
+  const problem = setting.check && setting.check(raw);
+  if (problem) return { error: `${key} ${problem}` };
+  return { value: raw };
+};
+
+// Parse a set of raw values, collecting problems instead of stopping at the first
+const parseSettings = (raw, source, errors) => {
+  const values = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (!(key in SETTINGS)) {
+      errors.push(`Unknown setting in ${source}: ${key}`);
+      continue;
+    }
+    const parsed = parseSetting(key, value);
+    if (parsed.error) errors.push(`${parsed.error} (from ${source})`);
+    else values[key] = parsed.value;
+  }
+  return values;
+};
+
+const readConfigFile = (file, errors) => {
+  try {
+    const contents = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!contents || typeof contents !== "object" || Array.isArray(contents)) {
+      errors.push(`Config file ${file} must contain a JSON object`);
+      return {};
+    }
+    return contents;
+  } catch (err) {
+    errors.push(`Could not read config file ${file}: ${err.message}`);
+    return {};
+  }
+};
+
+// Build the effective config. `overrides` are typed values that take
+// precedence over everything else (used by tests). Throws with every problem
+// found when a source is invalid.
+const loadConfig = ({ argv = [], env = {}, overrides = {} } = {}) => {
+  const errors = [];
+
+  const options = { config: { type: "string" } };
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    options[toFlag(key)] = { type: setting.type === "boolean" ? "boolean" : "string" };
+  }
+  let flags = {};
+  try {
+    ({ values: flags } = parseArgs({ args: argv, options }));
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  const file = flags.config || env.CONFIG_FILE;
+  const fromFile = file ? parseSettings(readConfigFile(file, errors), file, errors) : {};
+
+  const rawEnv = {};
+  const rawFlags = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    if (env[setting.env] !== undefined && env[setting.env] !== "") rawEnv[key] = env[setting.env];
+    if (flags[toFlag(key)] !== undefined) rawFlags[key] = flags[toFlag(key)];
+  }
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...fromFile,
+    ...parseSettings(rawEnv, "environment", errors),
+    ...parseSettings(rawFlags, "command line", errors),
+    ...parseSettings(overrides, "overrides", errors),
+  };
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${errors.join("\n  ")}`);
+  }
+  return config;
+};
+
+// Problems with a runtime change from PUT /config; empty when valid
+const validateConfigPatch = (patch) => {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+    return ["Config must be a JSON object"];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(patch)) {
+    if (!(key in SETTINGS)) {
+      errors.push(`Unknown setting: ${key}`);
+    } else if (!SETTINGS[key].live) {
+      errors.push(`${key} can only be set at startup`);
+    } else if (typeof value !== typeof SETTINGS[key].default) {
+      errors.push(`${key} must be a ${typeof SETTINGS[key].default}`);
+    } else {
+      const parsed = parseSetting(key, value);
+      if (parsed.error) errors.push(parsed.error);
+    }
+  }
+  return errors;
+};
+
+// Config as reported by GET /config and stored with runs, without secrets
+const publicConfig = (config) => {
+  let redisUrl = config.redisUrl;
+  try {
+    const url = new URL(redisUrl);
+    if (url.password) {
+      url.password = "***";
+      redisUrl = url.toString();
+    }
+  } catch {
+    // Not a parseable URL, so there is no password to hide
+  }
+  return { ...config, redisUrl, authSecret: config.authSecret ? "***" : "" };
+};
+
+module.exports = {
+  SETTINGS,
+  loadConfig,
+  validateConfigPatch,
+  publicConfig,
+};
@@ -0,0 +1,2093 @@
+// dashboard.js
+// The browser test page served on /. It is one self-contained HTML document
+// with inline styles and script, so the demo has no static assets to deploy.
+const dashboardPage = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Event Loop Congestion Demo</title>
+      <style>
+        body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }
+        .results { margin-top: 20px; }
+        .metrics { margin-top: 20px; padding: 10px; background-color: #f0f0f0; }
+        .response-time { font-weight: bold; }
+        button { margin: 5px; padding: 8px; }
+        
+        .scroll-container {
+          height: 300px;
+          overflow-y: auto;
+          border: 1px solid #ccc;
+          margin-top: 10px;
+        }
+        
+        .response-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        
+        .response-table th, .response-table td {
+          padding: 8px;
+          text-align: left;
+          border-bottom: 1px solid #ddd;
+        }
+        
+        .response-table th {
+          position: sticky;
+          top: 0;
+          background-color: #f8f8f8;
+          z-index: 10;
+        }
+        
+        .response-row-polling {
+          background-color: rgba(255, 0, 0, 0.1);
+        }
+        
+        .response-row-sse {
+          background-color: rgba(0, 128, 0, 0.1);
+        }
+        
+        .response-row-ws {
+          background-color: rgba(0, 0, 255, 0.1);
+        }
+        
+        .response-row-longpoll {
+          background-color: rgba(255, 165, 0, 0.15);
+        }
+        
+        .response-time-cell {
+          font-weight: bold;
+        }
+        
+        .tabs {
+          display: flex;
+          margin-bottom: 10px;
+        }
+        
+        .tab-btn {
+          padding: 8px 16px;
+          background-color: #f0f0f0;
+          border: 1px solid #ccc;
+          border-radius: 4px 4px 0 0;
+          margin-right: 5px;
+          cursor: pointer;
+        }
+        
+        .tab-btn.active {
+          background-color: #fff;
+          border-bottom: 1px solid white;
+        }
+        
+        .time-fast {
+          color: green;
+        }
+        
+        .time-medium {
+          color: orange;
+        }
+        
+        .time-slow {
+          color: red;
+        }
+        
+        /* Metrics styling */
+        .metrics-table {
+          width: 100%;
+          border-collapse: collapse;
+          margin-top: 10px;
+        }
+        
+        .metrics-table th, .metrics-table td {
+          text-align: left;
+          padding: 8px;
+          border-bottom: 1px solid #ddd;
+        }
+        
+        .metrics-table th {
+          background-color: #f8f8f8;
+        }
+        
+        .metrics-header {
+          font-weight: bold;
+          font-size: 1.1em;
+          margin-top: 15px;
+          margin-bottom: 5px;
+        }
+        
+        .metrics-description {
+          color: #666;
+          font-style: italic;
+          font-size: 0.9em;
+        }
+        
+        .metrics-value {
+          font-family: monospace;
+          font-weight: bold;
+        }
+        
+        /* Live charts */
+        .chart {
+          margin-top: 10px;
+        }
+        
+        .chart-title {
+          font-weight: bold;
+          margin-bottom: 2px;
+        }
+        
+        .chart canvas {
+          width: 100%;
+          height: 160px;
+          border: 1px solid #ddd;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>Node.js Event Loop Congestion Demo</h1>
+      
+      <div>
+        <h2>Test Options</h2>
+        <div>
+          <button id="start-polling">Start Polling Test</button>
+          <button id="start-longpoll">Start Long-Polling Test</button>
+          <button id="start-sse">Start SSE Test</button>
+          <button id="start-ws">Start WebSocket Test</button>
+          <button id="stop-test">Stop All Tests</button>
+          <button id="drop-sse">Drop SSE Connections</button>
+        </div>
+        <div>
+          <label>Number of concurrent clients: 
+            <input type="number" id="client-count" value="100" min="1" max="2000">
+          </label>
+          <label style="margin-left: 15px;">Polling interval (ms): 
+            <input type="number" id="polling-interval" value="300" min="50" max="5000">
+          </label>
+          <label style="margin-left: 15px;">
+            <input type="checkbox" id="conditional-polling"> Conditional polling (ETag / 304)
+          </label>
+          <label style="margin-left: 15px;">
+            <input type="checkbox" id="record-runs" checked> Record runs
+          </label>
+          <button id="update-clients">Update</button>
+        </div>
+      </div>
+      
+      <div>
+        <h2>Workload Scenario</h2>
+        <div>
+          <label>CPU per request (ms): 
+            <input type="number" id="scenario-cpuPerRequestMs" value="0" min="0" max="1000">
+          </label>
+          <label style="margin-left: 15px;">Burst every (ms): 
+            <input type="number" id="scenario-burstIntervalMs" value="0" min="0" max="60000">
+          </label>
+          <label style="margin-left: 15px;">Burst length (ms): 
+            <input type="number" id="scenario-burstDurationMs" value="0" min="0" max="5000">
+          </label>
+        </div>
+        <div>
+          <label>JSON serialized per request (KB): 
+            <input type="number" id="scenario-jsonPayloadKb" value="0" min="0" max="10240">
+          </label>
+          <label style="margin-left: 15px;">GC pressure (MB/s): 
+            <input type="number" id="scenario-gcPressureMb" value="0" min="0" max="1024">
+          </label>
+        </div>
+        <div>
+          <button id="apply-scenario">Apply Scenario</button>
+          <button id="reset-scenario">Clear Scenario</button>
+          <span id="scenario-status"></span>
+        </div>
+      </div>
+      
+      <div>
+        <h2>Server Config</h2>
+        <div>
+          <label>Update every (ms): 
+            <input type="number" id="config-updateIntervalMs" min="1" max="60000">
+          </label>
+          <label style="margin-left: 15px;">Payload size (bytes): 
+            <input type="number" id="config-payloadBytes" min="0" max="1048576">
+          </label>
+        </div>
+        <div>
+          <label>Payload shape: 
+            <select id="config-payloadShape">
+              <option value="filler">filler</option>
+              <option value="text">text</option>
+              <option value="records">records</option>
+              <option value="random">random</option>
+            </select>
+          </label>
+          <label style="margin-left: 15px;">Churn per update (%): 
+            <input type="number" id="config-payloadChurnPercent" min="0" max="100">
+          </label>
+        </div>
+        <div>
+          <label>Poll compression: 
+            <select id="config-pollCompression">
+              <option value="off">off</option>
+              <option value="gzip">gzip</option>
+              <option value="br">br</option>
+              <option value="auto">auto</option>
+            </select>
+          </label>
+          <label style="margin-left: 15px;">SSE compression: 
+            <select id="config-sseCompression">
+              <option value="off">off</option>
+              <option value="gzip">gzip</option>
+              <option value="br">br</option>
+              <option value="auto">auto</option>
+            </select>
+          </label>
+          <label style="margin-left: 15px;">Compress bodies from (bytes): 
+            <input type="number" id="config-compressionMinBytes" min="0" max="1048576">
+          </label>
+        </div>
+        <div>
+          <label>Poll rate limit (req/s, 0 = off): 
+            <input type="number" id="config-pollRateLimit" min="0" max="100000">
+          </label>
+          <label style="margin-left: 15px;">Burst: 
+            <input type="number" id="config-pollRateBurst" min="1" max="100000">
+          </label>
+          <label style="margin-left: 15px;">Limit per: 
+            <select id="config-pollRateLimitBy">
+              <option value="ip">IP</option>
+              <option value="client">client id</option>
+            </select>
+          </label>
+        </div>
+        <div>
+          <label>Max SSE subscribers: 
+            <input type="number" id="config-sseMaxSubscribers" min="0" max="1000000">
+          </label>
+          <label style="margin-left: 15px;">Max WebSocket clients: 
+            <input type="number" id="config-wsMaxClients" min="0" max="1000000">
+          </label>
+          <label style="margin-left: 15px;">Max long-polls: 
+            <input type="number" id="config-longpollMaxClients" min="0" max="1000000">
+          </label>
+          <label style="margin-left: 15px;">Shed above loop lag (ms): 
+            <input type="number" id="config-shedEventLoopLagMs" min="0" max="60000">
+          </label>
+        </div>
+        <div>
+          Token auth (set at startup): <span id="auth-settings"></span>
+        </div>
+        <div>
+          <label>Lookup latency (ms): 
+            <input type="number" id="config-lookupDelayMs" min="0" max="10000">
+          </label>
+          <label style="margin-left: 15px;">Poll response delay (ms): 
+            <input type="number" id="config-pollDelayMs" min="0" max="10000">
+          </label>
+          <label style="margin-left: 15px;">Log level: 
+            <select id="config-logLevel">
+              <option value="debug">debug</option>
+              <option value="info">info</option>
+              <option value="warn">warn</option>
+              <option value="error">error</option>
+              <option value="off">off</option>
+            </select>
+          </label>
+        </div>
+        <div>
+          <button id="apply-config">Apply Config</button>
+          <span id="config-status"></span>
+        </div>
+      </div>
+      
+      <div>
+        <h2>Load Plan</h2>
+        <p class="metrics-description">Phases of clients driven by the server from a separate process, as JSON or YAML. Transports a phase doesn't name keep their count.</p>
+        <textarea id="plan-text" rows="12" cols="70" spellcheck="false">name: ramp, then pollers
+sampleIntervalMs: 1000
+phases:
+  - name: ramp
+    duration: 60
+    ramp: true
+    clients: { sse: 1000 }
+  - name: pollers
+    duration: 30
+    clients: { poll: 200 }
+    interval: 300
+  - name: hold
+    duration: 60</textarea>
+        <div>
+          <button id="run-plan">Run Plan</button>
+          <button id="stop-plan" disabled>Stop Plan</button>
+          <span id="plan-status"></span>
+        </div>
+        <div id="plan-report"></div>
+      </div>
+      
+      <div class="results">
+        <h2>Results</h2>
+        <div id="polling-results">
+          <h3>Polling Results</h3>
+          <p>Requests made: <span id="poll-count">0</span></p>
+          <p>Average response time: <span id="poll-avg-time" class="response-time">0ms</span></p>
+          <p>Max response time: <span id="poll-max-time" class="response-time">0ms</span></p>
+          <p>200 / 304 responses: <span id="poll-200">0</span> / <span id="poll-304">0</span>
+            (<span id="poll-304-ratio">0</span>% not modified)</p>
+          <p>401 / 429 / 503 responses: <span id="poll-401">0</span> / <span id="poll-429">0</span> / <span id="poll-503">0</span></p>
+          <p>Server bytes sent: <span id="poll-bytes">0 Bytes</span></p>
+          <p>Rejected by server: <span id="poll-rejected">0</span></p>
+        </div>
+        
+        <div id="longpoll-results">
+          <h3>Long-Polling Results</h3>
+          <p>Updates received: <span id="longpoll-count">0</span></p>
+          <p>Pending requests: <span id="longpoll-connections">0</span></p>
+          <p>Timeouts: <span id="longpoll-timeouts">0</span></p>
+          <p>Average delivery latency: <span id="longpoll-avg-time" class="response-time">0ms</span></p>
+          <p>Max delivery latency: <span id="longpoll-max-time" class="response-time">0ms</span></p>
+          <p>Server bytes sent: <span id="longpoll-bytes">0 Bytes</span></p>
+          <p>Rejected by server: <span id="longpoll-rejected">0</span></p>
+        </div>
+        
+        <div id="sse-results">
+          <h3>SSE Results</h3>
+          <p>Updates received: <span id="sse-count">0</span></p>
+          <p>Connection count: <span id="sse-connections">0</span></p>
+          <p>Average delivery latency: <span id="sse-avg-time" class="response-time">0ms</span></p>
+          <p>Max delivery latency: <span id="sse-max-time" class="response-time">0ms</span></p>
+          <p>Average server emit-to-write lag: <span id="sse-avg-lag" class="response-time">0ms</span></p>
+          <p>Clock offset vs server: <span id="clock-offset">unknown</span></p>
+          <p>Reconnects: <span id="sse-reconnects">0</span></p>
+          <p>Server shutdown notices: <span id="sse-shutdowns">0</span></p>
+          <p>Token expiries: <span id="sse-expiries">0</span></p>
+          <p>Missed updates (gaps): <span id="sse-gaps">0</span></p>
+          <p>Duplicate updates: <span id="sse-duplicates">0</span></p>
+          <p>Server bytes sent: <span id="sse-bytes">0 Bytes</span></p>
+          <p>Rejected by server: <span id="sse-rejected">0</span></p>
+        </div>
+        
+        <div id="ws-results">
+          <h3>WebSocket Results</h3>
+          <p>Updates received: <span id="ws-count">0</span></p>
+          <p>Connection count: <span id="ws-connections">0</span></p>
+          <p>Average delivery latency: <span id="ws-avg-time" class="response-time">0ms</span></p>
+          <p>Max delivery latency: <span id="ws-max-time" class="response-time">0ms</span></p>
+          <p>Server bytes sent: <span id="ws-bytes">0 Bytes</span></p>
+          <p>Rejected by server: <span id="ws-rejected">0</span></p>
+        </div>
+        
+        <div id="charts">
+          <h3>Live Charts (last 2 minutes)</h3>
+          <div class="chart">
+            <div class="chart-title">Polling response time (ms)</div>
+            <canvas id="chart-polling"></canvas>
+          </div>
+          <div class="chart">
+            <div class="chart-title">SSE delivery latency (ms)</div>
+            <canvas id="chart-sse"></canvas>
+          </div>
+          <div class="chart">
+            <div class="chart-title">Server CPU (%)</div>
+            <canvas id="chart-cpu"></canvas>
+          </div>
+          <div class="chart">
+            <div class="chart-title">Server memory</div>
+            <canvas id="chart-memory"></canvas>
+          </div>
+          <div class="chart">
+            <div class="chart-title">Active connections</div>
+            <canvas id="chart-connections"></canvas>
+          </div>
+        </div>
+        
+        <div class="metrics">
+          <h3>Server Metrics</h3>
+          <label>Refresh every (ms): 
+            <input type="number" id="metrics-interval" value="1000" min="100" max="60000">
+          </label>
+          <div id="formatted-metrics">Loading metrics...</div>
+        </div>
+      </div>
+      
+      <div id="history">
+        <h3>Recorded Runs</h3>
+        <div>
+          <button id="refresh-runs">Refresh</button>
+          <button id="compare-runs">Compare Selected</button>
+        </div>
+        <div class="scroll-container">
+          <table class="response-table">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Started</th>
+                <th>Mode</th>
+                <th>Clients</th>
+                <th>Interval</th>
+                <th>Duration</th>
+                <th>Samples</th>
+                <th>Export</th>
+              </tr>
+            </thead>
+            <tbody id="runs-list">
+              <!-- Recorded runs will be added here -->
+            </tbody>
+          </table>
+        </div>
+        <div id="run-comparison"></div>
+      </div>
+      
+      <div id="visualization">
+        <h3>Response Time Visualization</h3>
+        <div class="tabs">
+          <button class="tab-btn active" data-tab="all">All</button>
+          <button class="tab-btn" data-tab="polling">Polling</button>
+          <button class="tab-btn" data-tab="longpoll">Long-Polling</button>
+          <button class="tab-btn" data-tab="sse">SSE</button>
+          <button class="tab-btn" data-tab="ws">WebSocket</button>
+        </div>
+        <div class="scroll-container">
+          <table class="response-table">
+            <thead>
+              <tr>
+                <th>Type</th>
+                <th>Response Time</th>
+                <th>Timestamp</th>
+              </tr>
+            </thead>
+            <tbody id="response-list">
+              <!-- Response times will be added here -->
+            </tbody>
+          </table>
+        </div>
+      </div>
+      
+      <script>
+        // Global tracking variables
+        let pollingIntervals = [];
+        let sseConnections = [];
+        let pollCount = 0;
+        let pollTimes = [];
+        let poll200 = 0;
+        let poll304 = 0;
+        // Polls turned away: 401 for a missing or expired token, then by
+        // admission control, 429 rate limited and 503 shed or over capacity
+        let pollRejected = { 401: 0, 429: 0, 503: 0 };
+        let sseCount = 0;
+        let sseTimes = [];
+        let sseLags = [];
+        let sseReconnects = 0;
+        let sseShutdowns = 0;
+        let sseExpiries = 0;
+        let sseGaps = 0;
+        let sseDuplicates = 0;
+        let sseRun = 0;
+        let longPollRun = 0;
+        let longPollControllers = [];
+        let longPollCount = 0;
+        let longPollTimeouts = 0;
+        let longPollTimes = [];
+        let wsConnections = [];
+        let wsCount = 0;
+        let wsTimes = [];
+        let clockOffset = 0;
+        
+        // Metric descriptions
+        const metricDescriptions = {
+          cpuUsage: {
+            title: "CPU Usage",
+            description: "Cumulative amount of CPU time used by the Node.js process",
+            fields: {
+              user: "Time spent executing JavaScript code (microseconds)",
+              system: "Time spent in system operations like I/O (microseconds)"
+            }
+          },
+          activeRequests: {
+            title: "Active Connections",
+            description: "Current number of active HTTP connections to the server"
+          },
+          memoryUsage: {
+            title: "Memory Usage",
+            description: "Memory consumption of the Node.js process",
+            fields: {
+              rss: "Resident Set Size - total memory allocated (bytes)",
+              heapTotal: "Total size of allocated JavaScript heap (bytes)",
+              heapUsed: "Actually used JavaScript heap memory (bytes)",
+              external: "Memory used by C++ objects bound to JavaScript (bytes)",
+              arrayBuffers: "Memory used for ArrayBuffers and SharedArrayBuffers (bytes)"
+            }
+          },
+          currentValue: {
+            title: "Update Counter",
+            description: "Counter of the default topic (t0), incremented on every update tick"
+          },
+          dataSource: {
+            title: "Data Source",
+            description: "Backend answering lookups and publishing updates (memory or redis)"
+          },
+          eventLoopDelay: {
+            title: "Event Loop Delay",
+            description: "How late the event loop ran scheduled work during the last second",
+            fields: {
+              p50: "Median delay (ms)",
+              p90: "90th percentile delay (ms)",
+              p99: "99th percentile delay (ms)",
+              max: "Worst delay observed (ms)",
+              mean: "Average delay (ms)"
+            }
+          },
+          eventLoopUtilization: {
+            title: "Event Loop Utilization",
+            description: "Share of the last second the event loop spent running code rather than waiting for I/O",
+            fields: {
+              utilization: "Fraction of time the loop was busy",
+              active: "Time spent busy (ms)",
+              idle: "Time spent idle (ms)"
+            }
+          },
+          poll: {
+            title: "Polling Responses",
+            description: "Full 200 answers vs 304 Not Modified, and the server-side lookup cache in front of /poll",
+            fields: {
+              hits: "Lookups served from the cache or joined to one already in flight",
+              misses: "Lookups that went to the data source",
+              ttlMs: "How long a cached lookup is reused (ms), unless an update arrives first"
+            }
+          },
+          sseBackpressure: {
+            title: "SSE Backpressure",
+            description: "How /sse handles clients that read slower than updates are written",
+            fields: {
+              policy: "What happens to slow clients: buffer, latest or disconnect",
+              maxBufferBytes: "Buffered bytes past which the disconnect policy evicts a client",
+              slowClients: "Streams currently backed up (write() returned false)",
+              bufferedBytes: "Bytes queued in Node for all streams, not yet sent",
+              slowEvents: "Times a stream became backed up",
+              drainEvents: "Times a backed-up stream caught up",
+              droppedUpdates: "Updates skipped by the latest policy",
+              evictedClients: "Clients disconnected by the disconnect policy"
+            }
+          },
+          logging: {
+            title: "Logging",
+            description: "Structured log output; set logLevel to off to measure what logging alone costs",
+            fields: {
+              level: "Lowest level written (debug, info, warn, error or off)",
+              bufferedBytes: "Log output waiting for the next batched write",
+              written: "Entries written since startup",
+              dropped: "Entries dropped because the buffer was full",
+              sampledOut: "Entries skipped by per-route sampling",
+              bytes: "Log output written since startup",
+              flushes: "Batched writes to stdout"
+            }
+          },
+          topics: {
+            title: "Topics",
+            description: "Updates are routed only to the clients subscribed to their topic (?topics= on /sse and /ws, ?key= on /poll and /longpoll)",
+            fields: {
+              count: "Topics served (topicCount)",
+              activeTopics: "Topics with at least one subscriber",
+              subscriptions: "Topic subscriptions held by open clients",
+              deliveries: "Updates handed to subscribed clients since startup"
+            }
+          },
+          http: {
+            title: "HTTP Connections",
+            description: "Connections vs HTTP/2 sessions and streams (httpProtocol); over HTTP/2 many requests share one session",
+            fields: {
+              protocol: "http1, h2c (cleartext HTTP/2) or h2 (HTTP/2 over TLS)",
+              connections: "Open TCP connections",
+              sessions: "Open HTTP/2 sessions",
+              streams: "Open HTTP/2 streams, one per request or event stream, including this dashboard's",
+              streamsPerSession: "Average open streams per session",
+              sessionsOpened: "HTTP/2 sessions opened since startup",
+              streamsOpened: "HTTP/2 streams opened since startup"
+            }
+          },
+          admission: {
+            title: "Admission Control",
+            description: "Requests turned away per transport since startup: shed while event loop lag is over shedEventLoopLagMs, over a connection cap (sseMaxSubscribers, wsMaxClients, longpollMaxClients) or over the /poll rate limit (pollRateLimit)"
+          },
+          auth: {
+            title: "Token Auth",
+            description: "Token checks with authRequired on: every /poll request pays one, each /sse connection only one for its lifetime, ended when its token expires (authTokenTtlSeconds); authVerifyCostMs adds to each"
+          },
+          bytesSent: {
+            title: "Bytes Sent",
+            description: "Update bytes sent per transport since startup, before and after compression (pollCompression, sseCompression); headers and framing not included"
+          },
+          workerPid: {
+            title: "Worker",
+            description: "Process id of the cluster worker that answered this request"
+          },
+          cluster: {
+            title: "Cluster Workers",
+            description: "Per-worker resource usage and connections, with cluster-wide totals"
+          },
+          emitToWriteLag: {
+            title: "Emit-to-Write Lag",
+            description: "Time from an update being emitted to it being written to each push client, since startup"
+          },
+          routeLatency: {
+            title: "Server-side Route Latency",
+            description: "Time spent on the server per request (/poll, /metrics) or per pushed message (/sse), since startup"
+          }
+        };
+        
+        // Format bytes to human-readable
+        function formatBytes(bytes, decimals = 2) {
+          if (bytes === 0) return '0 Bytes';
+          
+          const k = 1024;
+          const dm = decimals < 0 ? 0 : decimals;
+          const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+          
+          const i = Math.floor(Math.log(bytes) / Math.log(k));
+          
+          return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+        }
+        
+        // A table cell holding a value as text. Runs and plans carry strings
+        // other people sent the server, so they never go through innerHTML.
+        function textCell(value, className, tag = 'td') {
+          const cell = document.createElement(tag);
+          cell.textContent = value;
+          if (className) cell.className = className;
+          return cell;
+        }
+        
+        // Format microseconds in a human-readable way
+        function formatMicroseconds(microseconds) {
+          if (microseconds < 1000) {
+            return microseconds + ' μs';
+          } else if (microseconds < 1000000) {
+            return (microseconds / 1000).toFixed(2) + ' ms';
+          } else {
+            return (microseconds / 1000000).toFixed(2) + ' s';
+          }
+        }
+        
+        // Render a metrics snapshot with formatted display and descriptions
+        function renderMetrics(data) {
+          const metricsContainer = document.getElementById('formatted-metrics');
+          let html = '';
+          
+          // Process each top-level metric
+          for (const [key, value] of Object.entries(data)) {
+            const metricInfo = metricDescriptions[key] || { title: key, description: "" };
+            
+            html += \`<div class="metrics-header">\${metricInfo.title}</div>\`;
+            if (metricInfo.description) {
+              html += \`<div class="metrics-description">\${metricInfo.description}</div>\`;
+            }
+            
+            // Handle different types of metrics
+            if (key === 'cpuUsage') {
+              html += \`<table class="metrics-table">
+                <tr>
+                  <th>Metric</th>
+                  <th>Value</th>
+                  <th>Description</th>
+                </tr>
+                <tr>
+                  <td>User CPU</td>
+                  <td class="metrics-value">\${formatMicroseconds(value.user)}</td>
+                  <td>\${metricInfo.fields?.user || ""}</td>
+                </tr>
+                <tr>
+                  <td>System CPU</td>
+                  <td class="metrics-value">\${formatMicroseconds(value.system)}</td>
+                  <td>\${metricInfo.fields?.system || ""}</td>
+                </tr>
+              </table>\`;
+            } else if (key === 'memoryUsage') {
+              html += \`<table class="metrics-table">
+                <tr>
+                  <th>Metric</th>
+                  <th>Value</th>
+                  <th>Description</th>
+                </tr>\`;
+              
+              for (const [memKey, memValue] of Object.entries(value)) {
+                html += \`<tr>
+                  <td>\${memKey}</td>
+                  <td class="metrics-value">\${formatBytes(memValue)}</td>
+                  <td>\${metricInfo.fields?.[memKey] || ""}</td>
+                </tr>\`;
+              }
+              
+              html += \`</table>\`;
+            } else if (key === 'eventLoopDelay') {
+              html += \`<table class="metrics-table">
+                <tr>
+                  <th>Metric</th>
+                  <th>Value</th>
+                  <th>Description</th>
+                </tr>\`;
+              
+              for (const [delayKey, delayValue] of Object.entries(value)) {
+                html += \`<tr>
+                  <td>\${delayKey}</td>
+                  <td class="metrics-value">\${delayValue.toFixed(2)} ms</td>
+                  <td>\${metricInfo.fields?.[delayKey] || ""}</td>
+                </tr>\`;
+              }
+              
+              html += \`</table>\`;
+            } else if (key === 'eventLoopUtilization') {
+              html += \`<table class="metrics-table">
+                <tr>
+                  <th>Metric</th>
+                  <th>Value</th>
+                  <th>Description</th>
+                </tr>
+                <tr>
+                  <td>utilization</td>
+                  <td class="metrics-value">\${(value.utilization * 100).toFixed(1)}%</td>
+                  <td>\${metricInfo.fields?.utilization || ""}</td>
+                </tr>
+                <tr>
+                  <td>active</td>
+                  <td class="metrics-value">\${value.active.toFixed(2)} ms</td>
+                  <td>\${metricInfo.fields?.active || ""}</td>
+                </tr>
+                <tr>
+                  <td>idle</td>
+                  <td class="metrics-value">\${value.idle.toFixed(2)} ms</td>
+                  <td>\${metricInfo.fields?.idle || ""}</td>
+                </tr>
+              </table>\`;
+            } else if (key === 'routeLatency' || key === 'emitToWriteLag') {
+              html += \`<table class="metrics-table">
+                <tr>
+                  <th>Route</th>
+                  <th>Count</th>
+                  <th>p50</th>
+                  <th>p90</th>
+                  <th>p99</th>
+                  <th>Max</th>
+                </tr>\`;
+              
+              for (const [route, stats] of Object.entries(value)) {
+                html += \`<tr>
+                  <td>\${route}</td>
+                  <td class="metrics-value">\${stats.count}</td>
+                  <td class="metrics-value">\${stats.p50.toFixed(2)} ms</td>
+                  <td class="metrics-value">\${stats.p90.toFixed(2)} ms</td>
+                  <td class="metrics-value">\${stats.p99.toFixed(2)} ms</td>
+                  <td class="metrics-value">\${stats.max.toFixed(2)} ms</td>
+                </tr>\`;
+              }
+              
+              html += \`</table>\`;
+            } else if (key === 'sseBackpressure' || key === 'logging' || key === 'topics' || key === 'http') {
+              html += \`<table class="metrics-table">
+                <tr>
+                  <th>Metric</th>
+                  <th>Value</th>
+                  <th>Description</th>
+                </tr>\`;
+              
+              for (const [bpKey, bpValue] of Object.entries(value)) {
+                const shown = /bytes$/i.test(bpKey) ? formatBytes(bpValue) : bpValue;
+                html += \`<tr>
+                  <td>\${bpKey}</td>
+                  <td class="metrics-value">\${shown}</td>
+                  <td>\${metricInfo.fields?.[bpKey] || ""}</td>
+                </tr>\`;
+              }
+              
+              html += \`</table>\`;
+            } else if (key === 'poll') {
+              const total = value.responses[200] + value.responses[304];
+              html += \`<table class="metrics-table">
+                <tr>
+                  <th>Metric</th>
+                  <th>Value</th>
+                  <th>Description</th>
+                </tr>
+                <tr>
+                  <td>200 OK</td>
+                  <td class="metrics-value">\${value.responses[200]}</td>
+                  <td>Responses with a body</td>
+                </tr>
+                <tr>
+                  <td>304 Not Modified</td>
+                  <td class="metrics-value">\${value.responses[304]} (\${total ? (value.responses[304] / total * 100).toFixed(1) : 0}%)</td>
+                  <td>Conditional requests answered without a lookup</td>
+                </tr>\`;
+              
+              if (value.cache) {
+                for (const [cacheKey, cacheValue] of Object.entries(value.cache)) {
+                  html += \`<tr>
+                    <td>cache \${cacheKey}</td>
+                    <td class="metrics-value">\${cacheValue}</td>
+                    <td>\${metricInfo.fields?.[cacheKey] || ""}</td>
+                  </tr>\`;
+                }
+              }
+              
+              html += \`</table>\`;
+            } else if (key === 'bytesSent') {
+              html += \`<table class="metrics-table">
+                <tr>
+                  <th>Transport</th>
+                  <th>Uncompressed</th>
+                  <th>Sent</th>
+                  <th>Sent / uncompressed</th>
+                </tr>\`;
+              
+              for (const [transport, counts] of Object.entries(value)) {
+                html += \`<tr>
+                  <td>\${transport}</td>
+                  <td class="metrics-value">\${formatBytes(counts.uncompressedBytes)}</td>
+                  <td class="metrics-value">\${formatBytes(counts.sentBytes)}</td>
+                  <td class="metrics-value">\${counts.ratio === null ? '-' : (counts.ratio * 100).toFixed(1) + '%'}</td>
+                </tr>\`;
+              }
+              
+              html += \`</table>\`;
+            } else if (key === 'admission') {
+              html += \`<div class="metrics-value">\${value.shedding ? 'Shedding load' : 'Admitting'}; \${value.rateLimitedClients} rate-limited client keys tracked</div>
+                <table class="metrics-table">
+                <tr>
+                  <th>Transport</th>
+                  <th>Open</th>
+                  <th>Shed</th>
+                  <th>Over capacity</th>
+                  <th>Rate limited</th>
+                </tr>\`;
+              
+              for (const [transport, counts] of Object.entries(value.rejected)) {
+                html += \`<tr>
+                  <td>\${transport}</td>
+                  <td class="metrics-value">\${value.open[transport] ?? '-'}</td>
+                  <td class="metrics-value">\${counts.shed}</td>
+                  <td class="metrics-value">\${counts.capacity}</td>
+                  <td class="metrics-value">\${counts.rateLimited}</td>
+                </tr>\`;
+              }
+              
+              html += \`</table>\`;
+            } else if (key === 'auth') {
+              html += \`<div class="metrics-value">\${value.required ? 'Required' : 'Off'}; refused: \${value.failures.missing} missing, \${value.failures.invalid} invalid, \${value.failures.expired} expired; \${value.expiredStreams} streams expired</div>
+                <table class="metrics-table">
+                <tr>
+                  <th>Transport</th>
+                  <th>Verifications</th>
+                  <th>Mean</th>
+                  <th>Total</th>
+                </tr>\`;
+              
+              for (const [transport, verifications] of Object.entries(value.verifications)) {
+                html += \`<tr>
+                  <td>\${transport}</td>
+                  <td class="metrics-value">\${verifications.count}</td>
+                  <td class="metrics-value">\${verifications.meanMs}ms</td>
+                  <td class="metrics-value">\${verifications.totalMs.toFixed(1)}ms</td>
+                </tr>\`;
+              }
+              
+              html += \`</table>\`;
+              
+              // The busiest identities only; there can be thousands
+              const identities = Object.entries(value.identities)
+                .sort((a, b) => b[1].updates - a[1].updates)
+                .slice(0, 10);
+              if (identities.length > 0) {
+                html += \`<table class="metrics-table">
+                  <tr>
+                    <th>Identity (top \${identities.length} of \${Object.keys(value.identities).length})</th>
+                    <th>Polls</th>
+                    <th>SSE connections</th>
+                    <th>Open streams</th>
+                    <th>Updates</th>
+                  </tr>\`;
+                
+                for (const [identity, entry] of identities) {
+                  html += \`<tr>
+                    <td>\${identity}</td>
+                    <td class="metrics-value">\${entry.poll}</td>
+                    <td class="metrics-value">\${entry.sse}</td>
+                    <td class="metrics-value">\${entry.openStreams}</td>
+                    <td class="metrics-value">\${entry.updates}</td>
+                  </tr>\`;
+                }
+                
+                html += \`</table>\`;
+              }
+            } else if (key === 'cluster') {
+              html += \`<table class="metrics-table">
+                <tr>
+                  <th>Worker</th>
+                  <th>CPU (user + system)</th>
+                  <th>RSS</th>
+                  <th>Heap used</th>
+                  <th>Connections</th>
+                  <th>SSE</th>
+                  <th>WebSocket</th>
+                </tr>\`;
+              
+              const rows = value.workers.map(worker => ({ label: 'pid ' + worker.pid, ...worker }));
+              rows.push({ label: 'Total', ...value.totals });
+              
+              for (const row of rows) {
+                html += \`<tr>
+                  <td>\${row.label}</td>
+                  <td class="metrics-value">\${formatMicroseconds(row.cpuUsage.user + row.cpuUsage.system)}</td>
+                  <td class="metrics-value">\${formatBytes(row.memoryUsage.rss)}</td>
+                  <td class="metrics-value">\${formatBytes(row.memoryUsage.heapUsed)}</td>
+                  <td class="metrics-value">\${row.activeRequests}</td>
+                  <td class="metrics-value">\${row.sseSubscribers}</td>
+                  <td class="metrics-value">\${row.wsClients}</td>
+                </tr>\`;
+              }
+              
+              html += \`</table>\`;
+            } else if (key === 'activeRequests') {
+              html += \`<div class="metrics-value">\${value} connections</div>\`;
+            } else {
+              html += \`<div class="metrics-value">\${value}</div>\`;
+            }
+          }
+          
+          metricsContainer.innerHTML = html;
+          recordMetricsPoint(data);
+          showBytesSent(data.bytesSent);
+          showRejections(data.admission);
+        }
+        
+        // Server-side admission rejections in each transport's results panel
+        function showRejections(admission) {
+          for (const [transport, counts] of Object.entries(admission.rejected)) {
+            const total = counts.shed + counts.capacity + counts.rateLimited;
+            document.getElementById(transport + '-rejected').textContent = total === 0 ? '0' :
+              \`\${total} (\${counts.shed} shed, \${counts.capacity} over capacity, \${counts.rateLimited} rate limited)\`;
+          }
+        }
+        
+        // Server-side byte counts in each transport's results panel
+        function showBytesSent(bytesSent) {
+          for (const [transport, counts] of Object.entries(bytesSent)) {
+            let text = formatBytes(counts.sentBytes);
+            if (counts.sentBytes !== counts.uncompressedBytes) {
+              text += \` of \${formatBytes(counts.uncompressedBytes)} uncompressed (\${(counts.ratio * 100).toFixed(1)}%)\`;
+            }
+            document.getElementById(transport + '-bytes').textContent = text;
+          }
+        }
+        
+        // Metrics arrive over a dedicated SSE stream rather than by polling
+        // /metrics, so the dashboard doesn't add polling load of its own
+        let metricsStream = null;
+        
+        function startMetricsStream() {
+          if (metricsStream) metricsStream.close();
+          const interval = parseInt(document.getElementById('metrics-interval').value, 10) || 1000;
+          metricsStream = new EventSource('/metrics/stream?interval=' + interval);
+          
+          metricsStream.addEventListener('metrics', (event) => {
+            renderMetrics(JSON.parse(event.data));
+          });
+          
+          metricsStream.onerror = () => {
+            document.getElementById('formatted-metrics').textContent = 'Metrics stream disconnected, reconnecting...';
+          };
+        }
+        
+        document.getElementById('metrics-interval').addEventListener('change', startMetricsStream);
+        
+        // Live charts
+        // Plain canvas line charts sharing one time axis, so the page has no
+        // external dependencies. Client latency samples are bucketed per
+        // second into percentiles; server points come from each snapshot on the
+        // /metrics/stream SSE feed.
+        const CHART_WINDOW_MS = 120000;
+        const chartSeries = {};
+        let latencyBuckets = {};
+        let lastCpuSample = null;
+        
+        function pushPoint(key, value, t = Date.now()) {
+          const points = chartSeries[key] || (chartSeries[key] = []);
+          points.push([t, value]);
+          while (points.length && points[0][0] < t - CHART_WINDOW_MS) points.shift();
+        }
+        
+        function recordChartSample(type, latency) {
+          (latencyBuckets[type] || (latencyBuckets[type] = [])).push(latency);
+        }
+        
+        function percentile(sorted, p) {
+          return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p / 100))];
+        }
+        
+        // Turn the last second's latency samples into percentile points
+        function flushLatencyBuckets() {
+          const now = Date.now();
+          for (const [type, samples] of Object.entries(latencyBuckets)) {
+            if (samples.length === 0) continue;
+            const sorted = samples.slice().sort((a, b) => a - b);
+            pushPoint(type + '-p50', percentile(sorted, 50), now);
+            pushPoint(type + '-p90', percentile(sorted, 90), now);
+            pushPoint(type + '-p99', percentile(sorted, 99), now);
+          }
+          latencyBuckets = {};
+        }
+        
+        function recordMetricsPoint(data) {
+          const now = Date.now();
+          
+          // CPU% is the CPU time used between two samples over the wall time between them
+          const cpu = data.cpuUsage.user + data.cpuUsage.system;
+          if (lastCpuSample) {
+            const wallMicros = (now - lastCpuSample.t) * 1000;
+            if (wallMicros > 0) pushPoint('cpu', Math.max(0, (cpu - lastCpuSample.cpu) / wallMicros * 100), now);
+          }
+          lastCpuSample = { t: now, cpu };
+          
+          pushPoint('rss', data.memoryUsage.rss, now);
+          pushPoint('heapUsed', data.memoryUsage.heapUsed, now);
+          pushPoint('heapTotal', data.memoryUsage.heapTotal, now);
+          pushPoint('connections', data.activeRequests, now);
+        }
+        
+        const charts = [
+          {
+            canvas: 'chart-polling',
+            series: [
+              { key: 'polling-p50', label: 'p50', color: '#ef9a9a' },
+              { key: 'polling-p90', label: 'p90', color: '#e57373' },
+              { key: 'polling-p99', label: 'p99', color: '#c62828' }
+            ],
+            format: v => v.toFixed(0) + 'ms'
+          },
+          {
+            canvas: 'chart-sse',
+            series: [
+              { key: 'sse-p50', label: 'p50', color: '#a5d6a7' },
+              { key: 'sse-p90', label: 'p90', color: '#66bb6a' },
+              { key: 'sse-p99', label: 'p99', color: '#2e7d32' }
+            ],
+            format: v => v.toFixed(0) + 'ms'
+          },
+          {
+            canvas: 'chart-cpu',
+            series: [{ key: 'cpu', label: 'CPU', color: '#6a1b9a' }],
+            format: v => v.toFixed(0) + '%'
+          },
+          {
+            canvas: 'chart-memory',
+            series: [
+              { key: 'rss', label: 'RSS', color: '#1565c0' },
+              { key: 'heapTotal', label: 'Heap total', color: '#90caf9' },
+              { key: 'heapUsed', label: 'Heap used', color: '#42a5f5' }
+            ],
+            format: v => formatBytes(v, 0)
+          },
+          {
+            canvas: 'chart-connections',
+            series: [{ key: 'connections', label: 'Connections', color: '#ef6c00' }],
+            format: v => v.toFixed(0)
+          }
+        ];
+        
+        function drawChart(chart, now) {
+          const canvas = document.getElementById(chart.canvas);
+          const ratio = window.devicePixelRatio || 1;
+          const width = canvas.clientWidth;
+          const height = canvas.clientHeight;
+          if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+            canvas.width = width * ratio;
+            canvas.height = height * ratio;
+          }
+          
+          const ctx = canvas.getContext('2d');
+          ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+          ctx.clearRect(0, 0, width, height);
+          
+          const left = 60;
+          const right = width - 10;
+          const top = 20;
+          const bottom = height - 20;
+          const start = now - CHART_WINDOW_MS;
+          const x = t => left + (t - start) / CHART_WINDOW_MS * (right - left);
+          
+          let maxValue = 0;
+          chart.series.forEach(series => {
+            (chartSeries[series.key] || []).forEach(([, v]) => { maxValue = Math.max(maxValue, v); });
+          });
+          maxValue = maxValue > 0 ? maxValue * 1.1 : 1;
+          const y = v => bottom - v / maxValue * (bottom - top);
+          
+          // Grid and axis labels
+          ctx.font = '11px Arial';
+          ctx.fillStyle = '#666';
+          ctx.strokeStyle = '#eee';
+          ctx.lineWidth = 1;
+          for (let i = 0; i <= 4; i++) {
+            const value = maxValue * i / 4;
+            ctx.beginPath();
+            ctx.moveTo(left, y(value));
+            ctx.lineTo(right, y(value));
+            ctx.stroke();
+            ctx.textAlign = 'right';
+            ctx.fillText(chart.format(value), left - 5, y(value) + 4);
+          }
+          ctx.textAlign = 'center';
+          for (let seconds = 120; seconds >= 0; seconds -= 30) {
+            ctx.fillText(seconds ? '-' + seconds + 's' : 'now', x(now - seconds * 1000), height - 5);
+          }
+          
+          // Series lines and legend
+          let legendX = left;
+          chart.series.forEach(series => {
+            const points = (chartSeries[series.key] || []).filter(([t]) => t >= start);
+            ctx.strokeStyle = series.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            points.forEach(([t, v], i) => {
+              if (i === 0) ctx.moveTo(x(t), y(v));
+              else ctx.lineTo(x(t), y(v));
+            });
+            ctx.stroke();
+            
+            ctx.fillStyle = series.color;
+            ctx.fillRect(legendX, 5, 10, 10);
+            ctx.fillStyle = '#333';
+            ctx.textAlign = 'left';
+            ctx.fillText(series.label, legendX + 14, 14);
+            legendX += ctx.measureText(series.label).width + 30;
+          });
+        }
+        
+        setInterval(() => {
+          flushLatencyBuckets();
+          const now = Date.now();
+          charts.forEach(chart => drawChart(chart, now));
+        }, 1000);
+        
+        // Polling test
+        document.getElementById('start-polling').addEventListener('click', () => {
+          const clientCount = parseInt(document.getElementById('client-count').value, 10);
+          const pollingInterval = parseInt(document.getElementById('polling-interval').value, 10);
+          startRun('polling', clientCount, pollingInterval);
+          
+          // Update button text to show current interval
+          document.getElementById('start-polling').textContent = \`Start Polling Test (\${pollingInterval}ms)\`;
+          
+          // Clear previous tests
+          pollingIntervals.forEach(clearInterval);
+          pollingIntervals = [];
+          pollCount = 0;
+          pollTimes = [];
+          poll200 = 0;
+          poll304 = 0;
+          pollRejected = { 401: 0, 429: 0, 503: 0 };
+          ['poll-200', 'poll-304', 'poll-304-ratio', 'poll-401', 'poll-429', 'poll-503'].forEach(id => {
+            document.getElementById(id).textContent = '0';
+          });
+          document.getElementById('poll-count').textContent = '0';
+          document.getElementById('poll-avg-time').textContent = '0ms';
+          document.getElementById('poll-max-time').textContent = '0ms';
+          
+          // With conditional polling each client revalidates its last response.
+          // The browser cache is bypassed so the page sees the real 304s.
+          const conditional = document.getElementById('conditional-polling').checked;
+          
+          // Start new polling for each simulated client. Each sends its own
+          // X-Client-Id, so pollRateLimitBy=client limits them one by one,
+          // and its own token, renewed when the server refuses it.
+          for (let i = 0; i < clientCount; i++) {
+            let etag = null;
+            const clientId = 'page-poller-' + i;
+            let authorization = null;
+            let renewing = false;
+            // A burst of 401s for one expired token needs only one renewal
+            const renewToken = () => {
+              if (renewing) return;
+              renewing = true;
+              pageToken(clientId)
+                .then(token => (authorization = token && 'Bearer ' + token))
+                .catch(err => console.error('Token error:', err))
+                .finally(() => (renewing = false));
+            };
+            renewToken();
+            
+            const intervalId = setInterval(() => {
+              const startTime = performance.now();
+              const headers = { 'X-Client-Id': clientId };
+              if (conditional && etag) headers['If-None-Match'] = etag;
+              if (authorization) headers['Authorization'] = authorization;
+              // Turned away by the server; not a response time to chart
+              let rejected = false;
+              
+              fetch('/poll', { cache: 'no-store', headers })
+                .then(response => {
+                  if (response.status in pollRejected) {
+                    if (response.status === 401) renewToken();
+                    pollRejected[response.status]++;
+                    document.getElementById('poll-' + response.status).textContent = pollRejected[response.status];
+                    rejected = true;
+                    return null;
+                  }
+                  if (response.status === 304) {
+                    poll304++;
+                    return null;
+                  }
+                  poll200++;
+                  etag = response.headers.get('ETag');
+                  return response.json();
+                })
+                .then(data => {
+                  if (rejected) return;
+                  document.getElementById('poll-200').textContent = poll200;
+                  document.getElementById('poll-304').textContent = poll304;
+                  document.getElementById('poll-304-ratio').textContent =
+                    (poll304 / (poll200 + poll304) * 100).toFixed(1);
+                  
+                  const endTime = performance.now();
+                  const responseTime = endTime - startTime;
+                  
+                  pollTimes.push(responseTime);
+                  if (pollTimes.length > 100) pollTimes.shift(); // Keep only last 100
+                  
+                  pollCount++;
+                  document.getElementById('poll-count').textContent = pollCount;
+                  
+                  const avgTime = pollTimes.reduce((a, b) => a + b, 0) / pollTimes.length;
+                  document.getElementById('poll-avg-time').textContent = avgTime.toFixed(2) + 'ms';
+                  
+                  const maxTime = Math.max(...pollTimes);
+                  document.getElementById('poll-max-time').textContent = maxTime.toFixed(2) + 'ms';
+                  
+                  // Add to visualization
+                  addBar('poll-bar', responseTime);
+                })
+                .catch(err => console.error('Polling error:', err));
+            }, pollingInterval); // Use the user-specified polling interval
+            
+            pollingIntervals.push(intervalId);
+          }
+        });
+        
+        // A token for one simulated client (see auth.js), or null when the
+        // server's /config says it doesn't require them
+        let authRequired = false;
+        
+        function pageToken(identity) {
+          if (!authRequired) return Promise.resolve(null);
+          return fetch('/auth/token', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ identity })
+          })
+            .then(response => response.json())
+            .then(data => data.token);
+        }
+        
+        // Server clock estimate
+        // The server stamps each update with its own Date.now(), so delivery
+        // latency is only meaningful once the offset between the two clocks is
+        // known. Take a few NTP-style samples and keep the one with the
+        // smallest round trip, which bounds the error by half that round trip.
+        function clientNow() {
+          return performance.timeOrigin + performance.now();
+        }
+        
+        function serverNow() {
+          return clientNow() + clockOffset;
+        }
+        
+        function syncClock() {
+          const samples = [];
+          const sample = () => {
+            const sentAt = clientNow();
+            return fetch('/time')
+              .then(response => response.json())
+              .then(({ now }) => {
+                const receivedAt = clientNow();
+                samples.push({
+                  roundTrip: receivedAt - sentAt,
+                  offset: now - (sentAt + receivedAt) / 2
+                });
+              });
+          };
+          
+          let chain = Promise.resolve();
+          for (let i = 0; i < 5; i++) chain = chain.then(sample);
+          
+          return chain
+            .then(() => {
+              const best = samples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+              clockOffset = best.offset;
+              document.getElementById('clock-offset').textContent =
+                clockOffset.toFixed(2) + 'ms (±' + (best.roundTrip / 2).toFixed(2) + 'ms)';
+            })
+            .catch(err => console.error('Clock sync error:', err));
+        }
+        
+        // Keep the last 100 samples and refresh the avg/max display for a panel
+        function updateLatencyStats(times, latency, prefix) {
+          times.push(latency);
+          if (times.length > 100) times.shift();
+          
+          const avgTime = times.reduce((a, b) => a + b, 0) / times.length;
+          document.getElementById(prefix + '-avg-time').textContent = avgTime.toFixed(2) + 'ms';
+          
+          const maxTime = Math.max(...times);
+          document.getElementById(prefix + '-max-time').textContent = maxTime.toFixed(2) + 'ms';
+        }
+        
+        // Long-polling test
+        // Each client keeps exactly one request open and re-issues it with the
+        // last value it saw, so no update is missed between requests.
+        function longPollLoop(run, lastValue) {
+          if (run !== longPollRun) return;
+          
+          const controller = new AbortController();
+          longPollControllers.push(controller);
+          document.getElementById('longpoll-connections').textContent = longPollControllers.length;
+          
+          const query = lastValue === null ? '' : '?value=' + lastValue;
+          const finish = () => {
+            longPollControllers = longPollControllers.filter(c => c !== controller);
+            document.getElementById('longpoll-connections').textContent = longPollControllers.length;
+          };
+          
+          fetch('/longpoll' + query, { signal: controller.signal })
+            .then(response => {
+              if (response.status === 204) return null;
+              return response.json();
+            })
+            .then(data => {
+              finish();
+              
+              if (!data) {
+                longPollTimeouts++;
+                document.getElementById('longpoll-timeouts').textContent = longPollTimeouts;
+                longPollLoop(run, lastValue);
+                return;
+              }
+              
+              // Delivery latency: time since the server emitted the update
+              const latency = Math.max(0, serverNow() - data.data.timestamp);
+              updateLatencyStats(longPollTimes, latency, 'longpoll');
+              
+              longPollCount++;
+              document.getElementById('longpoll-count').textContent = longPollCount;
+              
+              addBar('longpoll-bar', latency);
+              longPollLoop(run, data.data.value);
+            })
+            .catch(err => {
+              finish();
+              if (err.name === 'AbortError') return;
+              console.error('Long-polling error:', err);
+              // Back off briefly before retrying
+              setTimeout(() => longPollLoop(run, lastValue), 1000);
+            });
+        }
+        
+        function stopLongPolling() {
+          longPollRun++;
+          longPollControllers.forEach(c => c.abort());
+          longPollControllers = [];
+          document.getElementById('longpoll-connections').textContent = '0';
+        }
+        
+        document.getElementById('start-longpoll').addEventListener('click', () => {
+          const clientCount = parseInt(document.getElementById('client-count').value, 10);
+          startRun('longpoll', clientCount, null);
+          
+          // Clear previous long-polling clients
+          stopLongPolling();
+          longPollCount = 0;
+          longPollTimeouts = 0;
+          longPollTimes = [];
+          document.getElementById('longpoll-count').textContent = '0';
+          document.getElementById('longpoll-timeouts').textContent = '0';
+          document.getElementById('longpoll-avg-time').textContent = '0ms';
+          document.getElementById('longpoll-max-time').textContent = '0ms';
+          syncClock();
+          
+          const run = longPollRun;
+          for (let i = 0; i < clientCount; i++) {
+            longPollLoop(run, null);
+          }
+        });
+        
+        // SSE test
+        // Bumping sseRun stops clients that are between connections (waiting
+        // for a new token) from reconnecting into a stopped or newer test
+        function stopSse() {
+          sseRun++;
+          sseConnections.forEach(sse => sse.close());
+          sseConnections = [];
+        }
+        
+        document.getElementById('start-sse').addEventListener('click', () => {
+          const clientCount = parseInt(document.getElementById('client-count').value, 10);
+          startRun('sse', clientCount, null);
+          
+          // Clear previous SSE connections
+          stopSse();
+          const run = sseRun;
+          sseCount = 0;
+          sseTimes = [];
+          sseLags = [];
+          sseReconnects = 0;
+          sseShutdowns = 0;
+          sseExpiries = 0;
+          sseGaps = 0;
+          sseDuplicates = 0;
+          ['sse-reconnects', 'sse-shutdowns', 'sse-expiries', 'sse-gaps', 'sse-duplicates'].forEach(id => {
+            document.getElementById(id).textContent = '0';
+          });
+          document.getElementById('sse-count').textContent = '0';
+          document.getElementById('sse-connections').textContent = '0';
+          document.getElementById('sse-avg-time').textContent = '0ms';
+          document.getElementById('sse-max-time').textContent = '0ms';
+          document.getElementById('sse-avg-lag').textContent = '0ms';
+          syncClock();
+          
+          // Create new SSE connections for each simulated client, each with a
+          // token of its own. When the token expires the server ends the
+          // stream, and the client connects again with a new one, resuming
+          // from the last event it saw.
+          for (let i = 0; i < clientCount; i++) {
+            // Last update value this client saw, to spot gaps and repeats
+            let lastValue = null;
+            let lastEventId = null;
+            let connectedBefore = false;
+            
+            const connect = (token) => {
+              if (run !== sseRun) return;
+              const params = new URLSearchParams();
+              if (token) params.set('token', token);
+              if (lastEventId !== null) params.set('lastEventId', lastEventId);
+              const sse = new EventSource('/sse?' + params);
+              
+              sse.onopen = () => {
+                // EventSource reconnects by itself, sending Last-Event-ID
+                if (connectedBefore) {
+                  sseReconnects++;
+                  document.getElementById('sse-reconnects').textContent = sseReconnects;
+                }
+                connectedBefore = true;
+              };
+              
+              const onEvent = (event) => {
+                const data = JSON.parse(event.data);
+                lastEventId = event.lastEventId;
+              
+                if (lastValue !== null) {
+                  if (data.data.value > lastValue + 1) {
+                    sseGaps += data.data.value - lastValue - 1;
+                    document.getElementById('sse-gaps').textContent = sseGaps;
+                  } else if (data.data.value <= lastValue) {
+                    sseDuplicates++;
+                    document.getElementById('sse-duplicates').textContent = sseDuplicates;
+                  }
+                }
+                lastValue = Math.max(data.data.value, lastValue ?? data.data.value);
+              
+                sseCount++;
+                document.getElementById('sse-count').textContent = sseCount;
+                document.getElementById('sse-connections').textContent = sseConnections.length;
+              
+                // Emit-to-receive latency, corrected for clock offset
+                const latency = Math.max(0, serverNow() - data.data.timestamp);
+                updateLatencyStats(sseTimes, latency, 'sse');
+              
+                // Part of that spent on the server before the frame was written
+                sseLags.push(Date.parse(data.server_processed_at) - data.data.timestamp);
+                if (sseLags.length > 100) sseLags.shift();
+                const avgLag = sseLags.reduce((a, b) => a + b, 0) / sseLags.length;
+                document.getElementById('sse-avg-lag').textContent = avgLag.toFixed(2) + 'ms';
+              
+                addBar('sse-bar', latency);
+              };
+              
+              sse.addEventListener('snapshot', onEvent);
+              sse.addEventListener('update', onEvent);
+              
+              // The server is going away; the browser reconnects after the
+              // retry hint that came with this event
+              sse.addEventListener('shutdown', () => {
+                sseShutdowns++;
+                document.getElementById('sse-shutdowns').textContent = sseShutdowns;
+              });
+              
+              // EventSource would retry with the same, now refused, token
+              sse.addEventListener('expired', () => {
+                sseExpiries++;
+                document.getElementById('sse-expiries').textContent = sseExpiries;
+                sse.close();
+                sseConnections = sseConnections.filter(s => s !== sse);
+                pageToken('page-sse-' + i).then(connect);
+              });
+            
+              sse.onerror = () => {
+                // CONNECTING means the browser is already retrying; only give up when closed
+                if (sse.readyState !== EventSource.CLOSED) return;
+                console.error('SSE connection error');
+                sseConnections = sseConnections.filter(s => s !== sse);
+                document.getElementById('sse-connections').textContent = sseConnections.length;
+              };
+            
+              sseConnections.push(sse);
+              document.getElementById('sse-connections').textContent = sseConnections.length;
+            };
+            
+            pageToken('page-sse-' + i).then(connect);
+          }
+        });
+        
+        // WebSocket test
+        document.getElementById('start-ws').addEventListener('click', () => {
+          const clientCount = parseInt(document.getElementById('client-count').value, 10);
+          startRun('ws', clientCount, null);
+          const wsUrl = (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/ws';
+          
+          // Clear previous WebSocket connections
+          wsConnections.forEach(ws => ws.close());
+          wsConnections = [];
+          wsCount = 0;
+          wsTimes = [];
+          document.getElementById('ws-count').textContent = '0';
+          document.getElementById('ws-connections').textContent = '0';
+          document.getElementById('ws-avg-time').textContent = '0ms';
+          document.getElementById('ws-max-time').textContent = '0ms';
+          syncClock();
+          
+          // Create new WebSocket connections for each simulated client
+          for (let i = 0; i < clientCount; i++) {
+            const ws = new WebSocket(wsUrl);
+            
+            ws.onmessage = (event) => {
+              const data = JSON.parse(event.data);
+              wsCount++;
+              document.getElementById('ws-count').textContent = wsCount;
+              document.getElementById('ws-connections').textContent = wsConnections.length;
+              
+              // Emit-to-receive latency, corrected for clock offset
+              const latency = Math.max(0, serverNow() - data.data.timestamp);
+              updateLatencyStats(wsTimes, latency, 'ws');
+              
+              addBar('ws-bar', latency);
+            };
+            
+            ws.onerror = () => {
+              console.error('WebSocket connection error');
+            };
+            
+            ws.onclose = () => {
+              wsConnections = wsConnections.filter(w => w !== ws);
+              document.getElementById('ws-connections').textContent = wsConnections.length;
+            };
+            
+            wsConnections.push(ws);
+          }
+          
+          document.getElementById('ws-connections').textContent = wsConnections.length;
+        });
+        
+        // Ask the server to end every SSE stream; clients reconnect on their own
+        document.getElementById('drop-sse').addEventListener('click', () => {
+          fetch('/sse/disconnect', { method: 'POST' })
+            .catch(err => console.error('SSE disconnect error:', err));
+        });
+        
+        // Stop all tests
+        document.getElementById('stop-test').addEventListener('click', () => {
+          stopRun();
+          
+          pollingIntervals.forEach(clearInterval);
+          pollingIntervals = [];
+          
+          stopLongPolling();
+          
+          stopSse();
+          
+          wsConnections.forEach(ws => ws.close());
+          wsConnections = [];
+          
+          document.getElementById('sse-connections').textContent = '0';
+          document.getElementById('ws-connections').textContent = '0';
+        });
+        
+        // Update client count
+        document.getElementById('update-clients').addEventListener('click', () => {
+          // Stop current tests first
+          document.getElementById('stop-test').click();
+          
+          // Update polling button text with current interval
+          const pollingInterval = parseInt(document.getElementById('polling-interval').value, 10);
+          document.getElementById('start-polling').textContent = \`Start Polling Test (\${pollingInterval}ms)\`;
+        });
+        
+        // Visualization row types
+        const barTypes = { 'poll-bar': 'polling', 'longpoll-bar': 'longpoll', 'sse-bar': 'sse', 'ws-bar': 'ws' };
+        const typeLabels = {
+          polling: { label: 'Polling', color: '#d32f2f' },
+          longpoll: { label: 'Long-Polling', color: '#f57c00' },
+          sse: { label: 'SSE', color: '#388e3c' },
+          ws: { label: 'WebSocket', color: '#1976d2' }
+        };
+        
+        // Workload scenario controls
+        const scenarioFields = ['cpuPerRequestMs', 'burstIntervalMs', 'burstDurationMs', 'jsonPayloadKb', 'gcPressureMb'];
+        
+        function showScenario(scenario) {
+          scenarioFields.forEach(field => {
+            document.getElementById('scenario-' + field).value = scenario[field];
+          });
+          const active = scenarioFields.filter(field => scenario[field] > 0);
+          document.getElementById('scenario-status').textContent = active.length
+            ? 'Active: ' + active.map(field => field + '=' + scenario[field]).join(', ')
+            : 'No workload injected';
+        }
+        
+        function sendScenario(method, body) {
+          return fetch('/scenario', {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined
+          })
+            .then(response => response.json().then(data => ({ ok: response.ok, data })))
+            .then(({ ok, data }) => {
+              if (!ok) {
+                document.getElementById('scenario-status').textContent = 'Rejected: ' + data.errors.join('; ');
+                return;
+              }
+              showScenario(data);
+            })
+            .catch(err => console.error('Scenario error:', err));
+        }
+        
+        document.getElementById('apply-scenario').addEventListener('click', () => {
+          const scenario = {};
+          scenarioFields.forEach(field => {
+            scenario[field] = Number(document.getElementById('scenario-' + field).value) || 0;
+          });
+          sendScenario('POST', scenario);
+        });
+        
+        document.getElementById('reset-scenario').addEventListener('click', () => {
+          sendScenario('DELETE');
+        });
+        
+        // Live server config. Changes apply to the running server without a
+        // restart; client defaults come from the server's config on load.
+        const configFields = [
+          'updateIntervalMs', 'payloadBytes', 'payloadChurnPercent', 'compressionMinBytes',
+          'pollRateLimit', 'pollRateBurst', 'sseMaxSubscribers', 'wsMaxClients', 'longpollMaxClients',
+          'shedEventLoopLagMs', 'lookupDelayMs', 'pollDelayMs'
+        ];
+        const configSelects = ['payloadShape', 'pollCompression', 'sseCompression', 'pollRateLimitBy', 'logLevel'];
+        
+        function showConfig(config) {
+          [...configFields, ...configSelects].forEach(field => {
+            document.getElementById('config-' + field).value = config[field];
+          });
+          document.getElementById('auth-settings').textContent = config.authRequired
+            ? \`required on /poll and /sse, tokens last \${config.authTokenTtlSeconds}s, \${config.authVerifyCostMs}ms per check\`
+            : 'off';
+        }
+        
+        function loadConfig() {
+          return fetch('/config')
+            .then(response => response.json())
+            .then(config => {
+              showConfig(config);
+              authRequired = config.authRequired;
+              document.getElementById('client-count').value = config.clientCount;
+              document.getElementById('polling-interval').value = config.clientIntervalMs;
+              document.getElementById('start-polling').textContent = \`Start Polling Test (\${config.clientIntervalMs}ms)\`;
+            })
+            .catch(err => console.error('Config error:', err));
+        }
+        
+        document.getElementById('apply-config').addEventListener('click', () => {
+          const patch = {};
+          configFields.forEach(field => {
+            patch[field] = Number(document.getElementById('config-' + field).value) || 0;
+          });
+          configSelects.forEach(field => {
+            patch[field] = document.getElementById('config-' + field).value;
+          });
+          fetch('/config', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(patch)
+          })
+            .then(response => response.json().then(data => ({ ok: response.ok, data })))
+            .then(({ ok, data }) => {
+              if (!ok) {
+                document.getElementById('config-status').textContent = 'Rejected: ' + data.errors.join('; ');
+                return;
+              }
+              showConfig(data);
+              document.getElementById('config-status').textContent = 'Applied';
+            })
+            .catch(err => console.error('Config error:', err));
+        });
+        
+        // Load plans run by the server. While one runs its status is polled;
+        // once it ends, each phase is shown with what the server did during it.
+        let planTimer = null;
+        
+        function showPlanReport(run) {
+          const table = document.createElement('table');
+          table.className = 'metrics-table';
+          const header = document.createElement('tr');
+          [
+            'Phase', 'From (s)', 'To (s)', 'Target clients', 'CPU', 'Peak connections',
+            'Loop delay p99 max', 'Messages / errors'
+          ].forEach(label => header.appendChild(textCell(label, null, 'th')));
+          table.appendChild(header);
+          
+          run.phases.forEach(phase => {
+            const targets = Object.entries(phase.targets)
+              .filter(([, count]) => count > 0)
+              .map(([mode, count]) => mode + ': ' + count)
+              .join(', ') || 'none';
+            const server = phase.summary && phase.summary.server;
+            const clients = phase.summary ? Object.entries(phase.summary.clients)
+              .map(([mode, c]) => mode + ': ' + c.messages + ' / ' + c.errors)
+              .join(', ') : '';
+            const row = document.createElement('tr');
+            row.append(
+              textCell(phase.name + (phase.ramp ? ' (ramp)' : '')),
+              textCell((phase.startOffsetMs / 1000).toFixed(1), 'metrics-value'),
+              textCell(phase.endOffsetMs === null ? '' : (phase.endOffsetMs / 1000).toFixed(1), 'metrics-value'),
+              textCell(targets),
+              textCell(server ? server.cpuPercent + '%' : '', 'metrics-value'),
+              textCell(server ? server.peakConnections : '', 'metrics-value'),
+              textCell(server ? server.maxLoopDelayP99.toFixed(2) + ' ms' : '', 'metrics-value'),
+              textCell(clients)
+            );
+            table.appendChild(row);
+          });
+          
+          const timeline = document.createElement('a');
+          timeline.href = '/plans/' + encodeURIComponent(run.id);
+          timeline.target = '_blank';
+          timeline.textContent = 'Full timeline (JSON)';
+          document.getElementById('plan-report').replaceChildren(table, timeline);
+        }
+        
+        function watchPlan(id) {
+          clearInterval(planTimer);
+          document.getElementById('stop-plan').disabled = false;
+          planTimer = setInterval(() => {
+            fetch('/plans/' + id)
+              .then(response => response.json())
+              .then(run => {
+                const status = document.getElementById('plan-status');
+                if (run.status === 'running') {
+                  const index = run.phases.length;
+                  status.textContent = \`Running "\${run.name}": \${run.currentPhase} (phase \${index} of \${run.plan.phases.length})\`;
+                } else {
+                  clearInterval(planTimer);
+                  document.getElementById('stop-plan').disabled = true;
+                  status.textContent = \`"\${run.name}" \${run.status}\${run.error ? ': ' + run.error : ''}\`;
+                }
+                showPlanReport(run);
+              })
+              .catch(err => console.error('Plan error:', err));
+          }, 1000);
+        }
+        
+        document.getElementById('run-plan').addEventListener('click', () => {
+          fetch('/plans', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/yaml' },
+            body: document.getElementById('plan-text').value
+          })
+            .then(response => response.json().then(data => ({ ok: response.ok, data })))
+            .then(({ ok, data }) => {
+              if (!ok) {
+                document.getElementById('plan-status').textContent = 'Rejected: ' + data.errors.join('; ');
+                return;
+              }
+              document.getElementById('plan-status').textContent = 'Starting...';
+              watchPlan(data.id);
+            })
+            .catch(err => console.error('Plan error:', err));
+        });
+        
+        document.getElementById('stop-plan').addEventListener('click', () => {
+          fetch('/plans')
+            .then(response => response.json())
+            .then(runs => {
+              const running = runs.find(run => run.status === 'running');
+              if (running) return fetch('/plans/' + running.id + '/stop', { method: 'POST' });
+            })
+            .catch(err => console.error('Plan error:', err));
+        });
+        
+        // Run recording
+        // Each test start opens a run on the server; latency samples are
+        // batched up and posted every couple of seconds until the test stops.
+        let currentRun = null;
+        let pendingSamples = [];
+        let flushTimer = null;
+        let runsById = {};
+        
+        function recordSample(type, latency) {
+          if (!currentRun) return;
+          pendingSamples.push({ t: Date.now(), type, latency: Number(latency.toFixed(3)) });
+        }
+        
+        function flushSamples() {
+          if (!currentRun || pendingSamples.length === 0) return Promise.resolve();
+          const samples = pendingSamples;
+          pendingSamples = [];
+          return fetch('/runs/' + currentRun.id + '/samples', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ samples })
+          }).catch(err => console.error('Run sample upload error:', err));
+        }
+        
+        function stopRun() {
+          if (!currentRun) return Promise.resolve();
+          const run = currentRun;
+          clearInterval(flushTimer);
+          return flushSamples()
+            .then(() => {
+              currentRun = null;
+              pendingSamples = [];
+              return fetch('/runs/' + run.id + '/stop', { method: 'POST' });
+            })
+            .then(() => loadRuns())
+            .catch(err => console.error('Run stop error:', err));
+        }
+        
+        function startRun(mode, clients, interval) {
+          if (!document.getElementById('record-runs').checked) return stopRun();
+          return stopRun()
+            .then(() => fetch('/runs', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ mode, clients, interval })
+            }))
+            .then(response => response.json())
+            .then(({ id }) => {
+              currentRun = { id };
+              flushTimer = setInterval(flushSamples, 2000);
+              loadRuns();
+            })
+            .catch(err => console.error('Run start error:', err));
+        }
+        
+        function loadRuns() {
+          return fetch('/runs')
+            .then(response => response.json())
+            .then(runs => {
+              runsById = {};
+              const list = document.getElementById('runs-list');
+              list.innerHTML = '';
+              
+              runs.forEach(run => {
+                runsById[run.id] = run;
+                const row = document.createElement('tr');
+                const started = new Date(run.startedAt);
+                
+                const select = document.createElement('input');
+                select.type = 'checkbox';
+                select.className = 'run-select';
+                select.value = run.id;
+                const selectCell = document.createElement('td');
+                selectCell.appendChild(select);
+                row.appendChild(selectCell);
+                
+                [
+                  started.toLocaleDateString() + ' ' + started.toLocaleTimeString(),
+                  run.mode,
+                  run.clients,
+                  run.interval ? run.interval + 'ms' : '-',
+                  run.active ? 'recording' : run.durationSeconds + 's',
+                  run.sampleCount
+                ].forEach(value => row.appendChild(textCell(value)));
+                
+                const exports = document.createElement('td');
+                [
+                  ['JSON', 'format=json'],
+                  ['CSV', 'format=csv'],
+                  ['metrics CSV', 'format=csv&table=metrics']
+                ].forEach(([label, query]) => {
+                  const link = document.createElement('a');
+                  link.href = '/runs/' + encodeURIComponent(run.id) + '/export?' + query;
+                  link.textContent = label;
+                  exports.append(link, ' ');
+                });
+                row.appendChild(exports);
+                list.appendChild(row);
+              });
+            })
+            .catch(err => console.error('Error loading runs:', err));
+        }
+        
+        // Side-by-side comparison of two finished runs
+        function compareRuns() {
+          const selected = [...document.querySelectorAll('.run-select:checked')].map(box => runsById[box.value]);
+          const container = document.getElementById('run-comparison');
+          
+          if (selected.length !== 2 || selected.some(run => !run.summary)) {
+            container.textContent = 'Select exactly two finished runs to compare.';
+            return;
+          }
+          
+          const [a, b] = selected;
+          const rows = [
+            ['Mode', a.mode, b.mode],
+            ['Clients', a.clients, b.clients],
+            ['Polling interval (ms)', a.interval ?? '-', b.interval ?? '-'],
+            ['Duration (s)', a.durationSeconds, b.durationSeconds]
+          ];
+          
+          // Server settings the two runs started with, where they differ
+          const configA = a.config || {};
+          const configB = b.config || {};
+          new Set([...Object.keys(configA), ...Object.keys(configB)]).forEach(key => {
+            if (configA[key] !== configB[key]) {
+              rows.push(['Config ' + key, configA[key] ?? '-', configB[key] ?? '-']);
+            }
+          });
+          
+          const latencyTypes = new Set([...Object.keys(a.summary.latency), ...Object.keys(b.summary.latency)]);
+          latencyTypes.forEach(type => {
+            ['count', 'mean', 'p50', 'p90', 'p99', 'max'].forEach(stat => {
+              const unit = stat === 'count' ? '' : ' (ms)';
+              rows.push([typeLabels[type]?.label + ' ' + stat + unit,
+                a.summary.latency[type]?.[stat] ?? '-',
+                b.summary.latency[type]?.[stat] ?? '-']);
+            });
+          });
+          
+          const serverFields = {
+            cpuPercent: 'CPU (%)',
+            peakRss: 'Peak RSS',
+            peakHeapUsed: 'Peak heap used',
+            peakConnections: 'Peak connections',
+            maxLoopDelayP99: 'Worst loop delay p99 (ms)',
+            avgLoopUtilization: 'Avg loop utilization'
+          };
+          for (const [field, label] of Object.entries(serverFields)) {
+            const format = field === 'peakRss' || field === 'peakHeapUsed' ? formatBytes : (v => v);
+            rows.push([label,
+              a.summary.server ? format(a.summary.server[field]) : '-',
+              b.summary.server ? format(b.summary.server[field]) : '-']);
+          }
+          
+          const table = document.createElement('table');
+          table.className = 'metrics-table';
+          const header = document.createElement('tr');
+          ['Metric', 'Run ' + a.id, 'Run ' + b.id].forEach(label => header.appendChild(textCell(label, null, 'th')));
+          table.appendChild(header);
+          rows.forEach(([label, valueA, valueB]) => {
+            const row = document.createElement('tr');
+            row.append(textCell(label), textCell(valueA, 'metrics-value'), textCell(valueB, 'metrics-value'));
+            table.appendChild(row);
+          });
+          container.replaceChildren(table);
+        }
+        
+        document.getElementById('refresh-runs').addEventListener('click', loadRuns);
+        document.getElementById('compare-runs').addEventListener('click', compareRuns);
+        
+        // Add a bar to the visualization
+        function addBar(className, time) {
+          const responseList = document.getElementById('response-list');
+          const row = document.createElement('tr');
+          const now = new Date();
+          
+          // Set class based on type
+          const type = barTypes[className] || 'sse';
+          recordSample(type, time);
+          recordChartSample(type, time);
+          row.className = \`response-row-\${type}\`;
+          row.dataset.type = type;
+          
+          // Create type cell
+          const typeCell = document.createElement('td');
+          typeCell.textContent = typeLabels[type].label;
+          typeCell.style.color = typeLabels[type].color;
+          typeCell.style.fontWeight = 'bold';
+          
+          // Create response time cell
+          const timeCell = document.createElement('td');
+          timeCell.className = 'response-time-cell';
+          timeCell.textContent = time.toFixed(2) + 'ms';
+          
+          // Color code based on response time
+          if (time < 50) {
+            timeCell.className += ' time-fast';
+          } else if (time < 200) {
+            timeCell.className += ' time-medium';
+          } else {
+            timeCell.className += ' time-slow';
+          }
+          
+          // Create timestamp cell
+          const timestampCell = document.createElement('td');
+          timestampCell.textContent = now.toLocaleTimeString() + '.' + now.getMilliseconds().toString().padStart(3, '0');
+          
+          // Add cells to row
+          row.appendChild(typeCell);
+          row.appendChild(timeCell);
+          row.appendChild(timestampCell);
+          
+          // Add to list
+          if (responseList.firstChild) {
+            responseList.insertBefore(row, responseList.firstChild);
+          } else {
+            responseList.appendChild(row);
+          }
+          
+          // Limit list size (keep last 100 entries)
+          if (responseList.childNodes.length > 100) {
+            responseList.removeChild(responseList.lastChild);
+          }
+          
+          // Auto-scroll to top
+          const scrollContainer = document.querySelector('.scroll-container');
+          scrollContainer.scrollTop = 0;
+        }
+        
+        // Add tab filtering functionality
+        document.addEventListener('DOMContentLoaded', function() {
+          const tabButtons = document.querySelectorAll('.tab-btn');
+          
+          tabButtons.forEach(button => {
+            button.addEventListener('click', () => {
+              // Update active tab
+              tabButtons.forEach(btn => btn.classList.remove('active'));
+              button.classList.add('active');
+              
+              // Filter rows
+              const filter = button.dataset.tab;
+              const rows = document.querySelectorAll('#response-list tr');
+              
+              rows.forEach(row => {
+                if (filter === 'all' || row.dataset.type === filter) {
+                  row.style.display = '';
+                } else {
+                  row.style.display = 'none';
+                }
+              });
+            });
+          });
+          
+          // Initialize metrics, clock offset, scenario and config controls
+          startMetricsStream();
+          syncClock();
+          sendScenario('GET');
+          loadConfig();
+          loadRuns();
+        });
+      </script>
+    </body>
+    </html>
+`;
+
+module.exports = { dashboardPage };
@@ -0,0 +1,63 @@
+// datasources/cache.js
+// Short-lived cache in front of an adapter's get(), per topic. Concurrent
+// lookups share one in-flight request, results are reused for ttlMs, and an
+// update on a topic invalidates that topic's cached value straight away.
+// `now` is the clock for expiry and for the timestamp of cached answers.
+const withCache = (source, { ttlMs = 100, now = Date.now } = {}) => {
+  // topic -> { cached, cachedAt, inFlight, generation }
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0 };
+
+  const entryFor = (topic) => {
+    if (!entries.has(topic)) {
+      entries.set(topic, { cached: null, cachedAt: 0, inFlight: null, generation: 0 });
+    }
+    return entries.get(topic);
+  };
+
+  source.subscribe((update) => {
+    const entry = entries.get(update.topic);
+    if (!entry) return;
+    // Bumped on every update so a lookup that started before it isn't cached
+    entry.generation++;
+    entry.cached = null;
+    entry.inFlight = null;
+  });
+
+  const get = (topic) => {
+    const entry = entryFor(topic);
+    if (entry.cached && now() - entry.cachedAt < ttlMs) {
+      stats.hits++;
+      return Promise.resolve({ ...entry.cached, timestamp: now() });
+    }
+    if (entry.inFlight) {
+      stats.hits++;
+      return entry.inFlight;
+    }
+
+    stats.misses++;
+    const startedIn = entry.generation;
+    const lookup = source
+      .get(topic)
+      .then((data) => {
+        if (startedIn === entry.generation) {
+          entry.cached = data;
+          entry.cachedAt = now();
+        }
+        return data;
+      })
+      .finally(() => {
+        if (entry.inFlight === lookup) entry.inFlight = null;
+      });
+    entry.inFlight = lookup;
+    return lookup;
+  };
+
+  return {
+    ...source,
+    get,
+    cacheStats: () => ({ ttlMs, ...stats }),
+  };
+};
+
+module.exports = { withCache };
@@ -0,0 +1,44 @@
+// datasources/index.js
+// Data source adapters share one shape. Every value belongs to a topic
+// (see topics.js) with its own counter:
+//   get(topic)          -> Promise<{ topic, value, timestamp }>  current value lookup
+//   subscribe(listener) -> unsubscribe function; listener gets every topic's
+//                          updates as { topic, value, timestamp }
+//   configure(options)  -> apply { intervalMs, lookupMs } to a running source;
+//                          adapters ignore options they have no use for
+//   ready               -> Promise resolved once the source is usable
+//   close()             -> Promise; stops timers and connections
+const { createMemoryDataSource } = require("./memory");
+const { createRedisDataSource } = require("./redis");
+const { topicNames } = require("../topics");
+
+// Pick and configure an adapter from the loaded config (see config.js).
+// `now` is the clock used to timestamp updates; `logger` (see logger.js)
+// receives the adapter's connection and producer errors.
+const createDataSource = (config, { now = Date.now, logger } = {}) => {
+  if (config.dataSource === "memory") {
+    return createMemoryDataSource({
+      intervalMs: config.updateIntervalMs,
+      lookupMs: config.lookupDelayMs,
+      topics: topicNames(config.topicCount),
+      now,
+    });
+  }
+
+  if (config.dataSource === "redis") {
+    return createRedisDataSource({
+      url: config.redisUrl,
+      key: config.redisKey,
+      channel: config.redisChannel,
+      intervalMs: config.updateIntervalMs,
+      producer: config.redisProducer,
+      topics: topicNames(config.topicCount),
+      now,
+      logger,
+    });
+  }
+
+  throw new Error(`Unknown dataSource "${config.dataSource}", expected "memory" or "redis"`);
+};
+
+module.exports = { createDataSource };
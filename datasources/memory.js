@@ -0,0 +1,61 @@
+// datasources/memory.js
+// In-process counters, one per topic, all ticked on one timer. Lookups are
+// answered after a short timer delay to stand in for a network round trip.
+const EventEmitter = require("events");
+
+const createMemoryDataSource = ({
+  intervalMs = 1000,
+  lookupMs = 5,
+  topics = ["t0"],
+  now = Date.now,
+} = {}) => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  const values = new Map(topics.map((topic) => [topic, 0]));
+
+  // Simulate data updates on a fixed tick
+  const tick = () => {
+    const timestamp = now();
+    for (const [topic, value] of values) {
+      values.set(topic, value + 1);
+      emitter.emit("update", { topic, value: value + 1, timestamp });
+    }
+  };
+  let timer = setInterval(tick, intervalMs);
+
+  return {
+    name: "memory",
+    ready: Promise.resolve(),
+
+    // Simulated lookup: non-blocking, resolves after lookupMs
+    get: (topic) =>
+      new Promise((resolve, reject) => {
+        setTimeout(() => {
+          if (!values.has(topic)) reject(new Error(`Unknown topic: ${topic}`));
+          else resolve({ topic, value: values.get(topic), timestamp: now() });
+        }, lookupMs);
+      }),
+
+    subscribe: (listener) => {
+      emitter.on("update", listener);
+      return () => emitter.removeListener("update", listener);
+    },
+
+    configure: (options) => {
+      if (options.lookupMs !== undefined) lookupMs = options.lookupMs;
+      if (options.intervalMs !== undefined && options.intervalMs !== intervalMs) {
+        intervalMs = options.intervalMs;
+        clearInterval(timer);
+        timer = setInterval(tick, intervalMs);
+      }
+    },
+
+    close: async () => {
+      clearInterval(timer);
+      emitter.removeAllListeners();
+    },
+  };
+};
+
+module.exports = { createMemoryDataSource };
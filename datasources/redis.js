@@ -0,0 +1,109 @@
+// datasources/redis.js
+// Redis-backed data source: lookups are a real GET, updates arrive over
+// pub/sub. Each topic has its own keys (`${key}:${topic}` and a counter next
+// to it); updates for every topic share one channel. Unless `producer` is
+// false, this process also drives the counters (INCR + SET + PUBLISH per
+// topic on each tick, batched in MULTIs); turn it off when an external
+// process, or another instance of this server, is the single producer.
+const { createClient } = require("redis");
+const { createLogger } = require("../logger");
+
+const createRedisDataSource = ({
+  url = "redis://localhost:6379",
+  key = "pressure:current",
+  channel = "pressure:updates",
+  intervalMs = 1000,
+  producer = true,
+  topics = ["t0"],
+  now = Date.now,
+  logger = createLogger(),
+} = {}) => {
+  const client = createClient({ url });
+  const subscriber = client.duplicate();
+  const listeners = new Set();
+  let timer = null;
+
+  const logError = (role) => (err) => {
+    logger.error("redis error", { role, error: err.message });
+  };
+  client.on("error", logError("client"));
+  subscriber.on("error", logError("subscriber"));
+
+  const fanOut = (message) => {
+    let update;
+    try {
+      update = JSON.parse(message);
+    } catch (err) {
+      logError("message")(err);
+      return;
+    }
+    listeners.forEach((listener) => listener(update));
+  };
+
+  const topicKey = (topic) => `${key}:${topic}`;
+
+  const produce = async () => {
+    try {
+      const counters = client.multi();
+      topics.forEach((topic) => counters.incr(`${topicKey(topic)}:counter`));
+      const values = await counters.exec();
+
+      const timestamp = now();
+      const writes = client.multi();
+      topics.forEach((topic, i) => {
+        const payload = JSON.stringify({ topic, value: values[i], timestamp });
+        writes.set(topicKey(topic), payload);
+        writes.publish(channel, payload);
+      });
+      await writes.exec();
+    } catch (err) {
+      logError("producer")(err);
+    }
+  };
+
+  const startProducer = () => {
+    clearInterval(timer);
+    timer = setInterval(produce, intervalMs);
+  };
+
+  const ready = (async () => {
+    await Promise.all([client.connect(), subscriber.connect()]);
+    await subscriber.subscribe(channel, fanOut);
+
+    if (producer) startProducer();
+  })();
+
+  return {
+    name: "redis",
+    ready,
+
+    // Fails fast while disconnected (or still connecting) rather than
+    // queueing the command until Redis comes back
+    get: async (topic) => {
+      if (!client.isReady) throw new Error("Redis is not connected");
+      const stored = await client.get(topicKey(topic));
+      const { value } = stored ? JSON.parse(stored) : { value: 0 };
+      return { topic, value, timestamp: now() };
+    },
+
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Lookups are real round trips here, so only the producer tick applies
+    configure: (options) => {
+      if (options.intervalMs === undefined || options.intervalMs === intervalMs) return;
+      intervalMs = options.intervalMs;
+      if (timer) startProducer();
+    },
+
+    close: async () => {
+      clearInterval(timer);
+      listeners.clear();
+      await Promise.allSettled([subscriber.quit(), client.quit()]);
+    },
+  };
+};
+
+module.exports = { createRedisDataSource };
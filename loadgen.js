@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+// loadgen.js
+// Headless load generator for the demo server. Unlike the browser test page it
+// is not limited by per-origin connection caps, so it can hold thousands of
+// real concurrent polling clients or SSE/WebSocket streams.
+//
+//   node loadgen.js --mode=poll|longpoll|sse|ws --clients=2000 --interval=300 --duration=60
+//
+// With --mode=poll, --conditional sends If-None-Match with the last ETag seen,
+// so unchanged polls come back as 304s.
+// With --mode=sse, --stall=N makes N of the clients connect and then stop
+// reading, to exercise the server's slow-consumer handling.
+// --topics=N spreads the clients round-robin over topics t0..t{N-1} (the
+// server needs at least that many, see topicCount), to measure fan-out at a
+// given cardinality; each client follows one topic.
+// --protocol=h2 sends the requests as HTTP/2 streams (h2c for an http:// --url,
+// TLS for https://), shared across --sessions=N connections (default 1), to
+// compare per-stream with per-connection overhead. WebSocket clients always
+// use HTTP/1.1.
+// --compressed accepts gzip and brotli responses, as browsers do, so the
+// server's pollCompression and sseCompression settings apply.
+// --auth gets every poll and SSE client a token of its own from /auth/token,
+// for a server with authRequired on; SSE clients whose token expires
+// reconnect with a new one.
+//
+// --clients and --interval default to clientCount and clientIntervalMs from
+// config.js (CLIENT_COUNT, CLIENT_INTERVAL_MS or a CONFIG_FILE).
+//
+// Prints a JSON summary to stdout when the run ends, including the server's
+// effective config; progress goes to stderr.
+const { parseArgs } = require("util");
+const { performance } = require("perf_hooks");
+const { loadConfig } = require("./config");
+const { MODES, PROTOCOLS, createConnector, createClientPool } = require("./clientpool");
+
+let defaults;
+try {
+  defaults = loadConfig({ env: process.env });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const { values: args } = parseArgs({
+  options: {
+    mode: { type: "string", default: "poll" },
+    clients: { type: "string", default: String(defaults.clientCount) },
+    interval: { type: "string", default: String(defaults.clientIntervalMs) },
+    duration: { type: "string", default: "30" },
+    url: { type: "string", default: "http://localhost:3000" },
+    timeout: { type: "string", default: "10000" },
+    stall: { type: "string", default: "0" },
+    topics: { type: "string", default: "1" },
+    protocol: { type: "string", default: "http1" },
+    sessions: { type: "string", default: "1" },
+    conditional: { type: "boolean", default: false },
+    compressed: { type: "boolean", default: false },
+    auth: { type: "boolean", default: false },
+  },
+});
+
+const mode = args.mode;
+const clients = parseInt(args.clients, 10);
+const interval = parseInt(args.interval, 10);
+const duration = parseInt(args.duration, 10);
+const timeout = parseInt(args.timeout, 10);
+const stall = parseInt(args.stall, 10);
+const topicCount = parseInt(args.topics, 10);
+const sessions = parseInt(args.sessions, 10);
+const protocol = args.protocol;
+const baseUrl = new URL(args.url);
+
+if (!MODES.includes(mode)) {
+  console.error(`Unknown --mode=${mode}, expected one of: ${MODES.join(", ")}`);
+  process.exit(1);
+}
+if (!PROTOCOLS.includes(protocol)) {
+  console.error(`Unknown --protocol=${protocol}, expected one of: ${PROTOCOLS.join(", ")}`);
+  process.exit(1);
+}
+for (const [name, value] of Object.entries({ clients, interval, duration, timeout, topics: topicCount, sessions })) {
+  if (!Number.isInteger(value) || value <= 0) {
+    console.error(`--${name} must be a positive integer`);
+    process.exit(1);
+  }
+}
+if (!Number.isInteger(stall) || stall < 0 || stall > clients) {
+  console.error("--stall must be between 0 and --clients");
+  process.exit(1);
+}
+
+// Effective config of the server under test, from GET /config
+let serverConfig = null;
+
+// `stats` is the pool's figures for our mode (see clientpool.js)
+const summarize = (stats, elapsedSeconds) => ({
+  mode,
+  url: baseUrl.origin,
+  protocol,
+  sessions: protocol === "h2" ? sessions : undefined,
+  clients,
+  topics: topicCount,
+  clientsPerTopic: Number((clients / topicCount).toFixed(2)),
+  stalledClients: mode === "sse" ? stall : undefined,
+  interval: mode === "poll" ? interval : undefined,
+  conditional: mode === "poll" ? args.conditional : undefined,
+  compressed: args.compressed,
+  auth: args.auth,
+  durationSeconds: Number(elapsedSeconds.toFixed(2)),
+  connections: {
+    opened: stats.connectionsOpened,
+    failed: stats.connectionsFailed,
+    droppedByServer: stats.connectionsDropped,
+  },
+  requests: mode === "poll" || mode === "longpoll"
+    ? { sent: stats.requestsSent, statusCodes: stats.statusCodes }
+    : undefined,
+  messages: {
+    received: stats.messages,
+    perSecond: Number((stats.messages / elapsedSeconds).toFixed(2)),
+  },
+  // Response bytes as they arrived, before decompression
+  bytesReceived: stats.bytesReceived,
+  // Gaps and repeats in the update sequence seen by push clients
+  droppedEvents: mode === "poll" ? undefined : stats.dropped,
+  duplicateEvents: mode === "poll" ? undefined : stats.duplicates,
+  shutdownNotices: mode === "sse" ? stats.shutdownNotices : undefined,
+  tokenExpiries: mode === "sse" && args.auth ? stats.tokenExpiries : undefined,
+  errors: {
+    total: Object.values(stats.errors).reduce((a, b) => a + b, 0),
+    byType: stats.errors,
+  },
+  latencyMs: stats.latencyMs,
+  serverConfig,
+});
+
+// Setup requests go the same way as the clients', so an h2c server is reachable
+const control = createConnector({ baseUrl, protocol });
+
+const getBody = (path) =>
+  new Promise((resolve, reject) => {
+    control.get(
+      path,
+      {},
+      (res) => {
+        let body = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => resolve(body));
+      },
+      reject,
+    );
+  });
+
+const getJson = async (path) => JSON.parse(await getBody(path));
+
+const fetchServerTime = async () => {
+  const sentAt = performance.timeOrigin + performance.now();
+  const body = await getBody("/time");
+  const receivedAt = performance.timeOrigin + performance.now();
+  return {
+    roundTrip: receivedAt - sentAt,
+    offset: JSON.parse(body).now - (sentAt + receivedAt) / 2,
+  };
+};
+
+// Offset between our clock and the server's, so push latency measured against
+// the server's emit timestamp is correct even when the two run on different
+// hosts. Keeps the sample with the smallest round trip.
+const syncClock = async () => {
+  let best = null;
+  for (let i = 0; i < 5; i++) {
+    const sample = await fetchServerTime();
+    if (!best || sample.roundTrip < best.roundTrip) best = sample;
+  }
+  return best;
+};
+
+const run = async () => {
+  const sync = await syncClock();
+  serverConfig = await getJson("/config").catch(() => null);
+  control.close();
+  console.error(
+    `Clock offset vs server: ${sync.offset.toFixed(2)}ms (±${(sync.roundTrip / 2).toFixed(2)}ms)`,
+  );
+  if (serverConfig && topicCount > serverConfig.topicCount) {
+    console.error(`--topics=${topicCount} but the server only serves ${serverConfig.topicCount} topics`);
+    process.exit(1);
+  }
+
+  const pool = createClientPool({
+    baseUrl,
+    protocol,
+    sessions,
+    compressed: args.compressed,
+    auth: args.auth,
+    timeout,
+    clockOffset: sync.offset,
+  });
+  const startTime = performance.now();
+
+  console.error(
+    `Starting ${clients} ${mode} clients against ${baseUrl.origin} for ${duration}s`,
+  );
+  const clientOptions = { interval, topics: topicCount, conditional: args.conditional };
+  pool.resize(mode, stall, { ...clientOptions, stalled: true });
+  pool.resize(mode, clients, clientOptions);
+
+  const progress = setInterval(() => {
+    const elapsed = ((performance.now() - startTime) / 1000).toFixed(0);
+    const stats = pool.stats()[mode];
+    console.error(
+      `[${elapsed}s] messages: ${stats.messages}, errors: ${Object.values(stats.errors).reduce((a, b) => a + b, 0)}`,
+    );
+  }, 5000);
+
+  setTimeout(async () => {
+    clearInterval(progress);
+    const elapsedSeconds = (performance.now() - startTime) / 1000;
+    const stats = pool.stats()[mode];
+    await pool.close();
+
+    console.log(JSON.stringify(summarize(stats, elapsedSeconds), null, 2));
+    process.exit(0);
+  }, duration * 1000);
+};
+
+run().catch((err) => {
+  console.error(`Could not reach ${baseUrl.origin}: ${err.message}`);
+  process.exit(1);
+});
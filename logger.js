@@ -0,0 +1,126 @@
+// logger.js
+// Structured JSON logger. Each entry is one JSON line; lines are buffered and
+// written in batches every flushIntervalMs, so busy routes don't turn into
+// hundreds of stdout writes per second on the loop being measured.
+//
+// Request loggers (forRequest) carry requestId and route on every entry. A
+// request is sampled once, when it arrives, so either all of its debug/info
+// entries are kept or none are; warnings and errors are always kept.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, off: Infinity };
+
+// "route=rate,..." -> Map of route to the fraction of requests logged
+const parseSampling = (spec) => {
+  const rates = new Map();
+  for (const entry of spec.split(",")) {
+    if (!entry.trim()) continue;
+    const [route, rate] = entry.split("=");
+    rates.set(route.trim(), Number(rate));
+  }
+  return rates;
+};
+
+// Problem with a sampling spec, or null when it is valid
+const checkSampling = (spec) => {
+  for (const entry of spec.split(",")) {
+    if (!entry.trim()) continue;
+    const [route, rate, ...rest] = entry.split("=");
+    const value = Number(rate);
+    if (!route.trim() || rest.length > 0 || rate === undefined || !(value >= 0 && value <= 1)) {
+      return `entry "${entry}" must look like /route=0.1 with a rate between 0 and 1`;
+    }
+  }
+  return null;
+};
+
+const createLogger = ({
+  level = "info",
+  sampling = "",
+  flushIntervalMs = 100,
+  maxBufferBytes = 1024 * 1024,
+  output = process.stdout,
+  now = Date.now,
+} = {}) => {
+  let threshold = LEVELS[level];
+  let rates = parseSampling(sampling);
+  let buffer = [];
+  let bufferedBytes = 0;
+  const stats = { written: 0, dropped: 0, sampledOut: 0, bytes: 0, flushes: 0 };
+
+  const flush = () => {
+    if (buffer.length === 0) return;
+    const chunk = buffer.join("");
+    buffer = [];
+    bufferedBytes = 0;
+    stats.flushes++;
+    output.write(chunk);
+  };
+
+  const timer = setInterval(flush, flushIntervalMs);
+  timer.unref();
+  // Whatever is still buffered when the process ends
+  process.on("exit", flush);
+
+  const write = (entryLevel, msg, fields) => {
+    if (LEVELS[entryLevel] < threshold) return;
+
+    const line =
+      JSON.stringify({ time: new Date(now()).toISOString(), level: entryLevel, msg, ...fields }) +
+      "\n";
+    const size = Buffer.byteLength(line);
+    // Past the cap, drop rather than grow without bound while output is slow
+    if (bufferedBytes + size > maxBufferBytes) {
+      stats.dropped++;
+      return;
+    }
+    buffer.push(line);
+    bufferedBytes += size;
+    stats.written++;
+    stats.bytes += size;
+  };
+
+  // Logger with fixed fields on every entry. When `sampled` is false its
+  // debug and info entries are skipped.
+  const withFields = (base, sampled = true) => {
+    const entry = (entryLevel) => (msg, fields) => {
+      if (!sampled && LEVELS[entryLevel] < LEVELS.warn) {
+        if (LEVELS[entryLevel] >= threshold) stats.sampledOut++;
+        return;
+      }
+      write(entryLevel, msg, { ...base, ...fields });
+    };
+    return {
+      debug: entry("debug"),
+      info: entry("info"),
+      warn: entry("warn"),
+      error: entry("error"),
+    };
+  };
+
+  const forRequest = (requestId, route) => {
+    const rate = rates.has(route) ? rates.get(route) : 1;
+    return withFields({ requestId, route }, rate >= 1 || Math.random() < rate);
+  };
+
+  return {
+    ...withFields({}),
+    forRequest,
+    // Apply { level, sampling } to the running logger
+    configure: (options) => {
+      if (options.level !== undefined) threshold = LEVELS[options.level];
+      if (options.sampling !== undefined) rates = parseSampling(options.sampling);
+    },
+    stats: () => ({
+      level: Object.keys(LEVELS).find((name) => LEVELS[name] === threshold),
+      bufferedBytes,
+      ...stats,
+    }),
+    flush,
+    close: () => {
+      clearInterval(timer);
+      process.removeListener("exit", flush);
+      flush();
+    },
+  };
+};
+
+module.exports = { LEVELS, createLogger, checkSampling };
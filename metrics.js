@@ -0,0 +1,435 @@
+// metrics.js
+// Event-loop and latency instrumentation shared by the HTTP handlers.
+const {
+  monitorEventLoopDelay,
+  performance,
+  createHistogram,
+} = require("perf_hooks");
+
+// Event-loop delay is sampled every 10ms and summarized once per second,
+// so the reported percentiles always describe the most recent second.
+const LOOP_SAMPLE_INTERVAL = 1000;
+
+const LOOP_RESOLUTION = 10;
+const loopDelay = monitorEventLoopDelay({ resolution: LOOP_RESOLUTION });
+loopDelay.enable();
+
+let lastELU = performance.eventLoopUtilization();
+let loopStats = {
+  eventLoopDelay: { p50: 0, p90: 0, p99: 0, max: 0, mean: 0 },
+  eventLoopUtilization: { utilization: 0, active: 0, idle: 0 },
+};
+
+// Convert a histogram of nanoseconds to milliseconds
+const nsToMs = (ns) => Number((ns / 1e6).toFixed(3));
+
+// The monitor's samples include its own timer interval; report only the lag
+const lagMs = (ns) => Math.max(0, nsToMs(ns - LOOP_RESOLUTION * 1e6));
+
+const loopTimer = setInterval(() => {
+  const elu = performance.eventLoopUtilization(lastELU);
+  lastELU = performance.eventLoopUtilization();
+
+  loopStats = {
+    eventLoopDelay: {
+      p50: lagMs(loopDelay.percentile(50)),
+      p90: lagMs(loopDelay.percentile(90)),
+      p99: lagMs(loopDelay.percentile(99)),
+      max: lagMs(loopDelay.max),
+      mean: lagMs(loopDelay.mean || 0),
+    },
+    eventLoopUtilization: {
+      utilization: Number(elu.utilization.toFixed(4)),
+      active: Number(elu.active.toFixed(2)),
+      idle: Number(elu.idle.toFixed(2)),
+    },
+  };
+  loopDelay.reset();
+}, LOOP_SAMPLE_INTERVAL);
+loopTimer.unref();
+
+// A set of latency histograms keyed by name, recorded in microseconds
+const usToMs = (us) => Number((us / 1000).toFixed(3));
+
+const histogramGroup = () => {
+  const histograms = new Map();
+
+  const record = (key, ms) => {
+    let histogram = histograms.get(key);
+    if (!histogram) {
+      histogram = createHistogram();
+      histograms.set(key, histogram);
+    }
+    // Histograms only accept integers >= 1
+    histogram.record(Math.max(1, Math.round(ms * 1000)));
+  };
+
+  const summary = () => {
+    const result = {};
+    for (const [key, histogram] of histograms) {
+      result[key] = {
+        count: histogram.count,
+        mean: usToMs(histogram.mean || 0),
+        p50: usToMs(histogram.percentile(50)),
+        p90: usToMs(histogram.percentile(90)),
+        p99: usToMs(histogram.percentile(99)),
+        max: usToMs(histogram.max),
+      };
+    }
+    return result;
+  };
+
+  return { record, summary };
+};
+
+// Server-side time per request, or per pushed message for streams
+const routeHistograms = histogramGroup();
+
+// Time from a dataSource update being emitted to it being written to a
+// push client, per transport. Grows with fan-out and event-loop congestion.
+const emitLagHistograms = histogramGroup();
+
+// Requests received per route
+const requestCounts = new Map();
+
+const countRequest = (route) => {
+  requestCounts.set(route, (requestCounts.get(route) || 0) + 1);
+};
+
+// Prometheus / OpenMetrics text exposition
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+};
+
+// Counters are declared by their base name; samples always carry `_total`.
+// The classic text format also expects `_total` on the HELP/TYPE lines,
+// while OpenMetrics wants the bare family name there.
+const formatPrometheus = (families, { openMetrics = false } = {}) => {
+  const lines = [];
+  for (const { name, help, type, samples } of families) {
+    const sampleName = type === "counter" ? `${name}_total` : name;
+    const familyName = openMetrics ? name : sampleName;
+    lines.push(`# HELP ${familyName} ${help}`);
+    lines.push(`# TYPE ${familyName} ${type}`);
+    for (const { labels, value } of samples) {
+      // Trim floating point noise such as 0.0031070000000000004
+      lines.push(`${sampleName}${formatLabels(labels)} ${Number(value.toPrecision(12))}`);
+    }
+  }
+  if (openMetrics) lines.push("# EOF");
+  return lines.join("\n") + "\n";
+};
+
+// Build the metric families for the current process. `state` carries the
+// server-owned values: activeConnections, sseSubscribers, sseBackpressure,
+// poll, wsClients, logging, topics, http (see protocols.js), bytesSent,
+// admission (see admission.js), auth (see auth.js), currentValue (the default
+// topic's) and updatesReceived.
+const prometheusFamilies = (state) => {
+  const cpu = process.cpuUsage();
+  const memory = process.memoryUsage();
+  const { eventLoopDelay, eventLoopUtilization } = loopStats;
+
+  return [
+    {
+      name: "process_cpu_user_seconds",
+      help: "User CPU time spent by the process in seconds.",
+      type: "counter",
+      samples: [{ value: cpu.user / 1e6 }],
+    },
+    {
+      name: "process_cpu_system_seconds",
+      help: "System CPU time spent by the process in seconds.",
+      type: "counter",
+      samples: [{ value: cpu.system / 1e6 }],
+    },
+    {
+      name: "nodejs_memory_usage_bytes",
+      help: "Memory usage of the process by type, as reported by process.memoryUsage().",
+      type: "gauge",
+      samples: Object.entries(memory).map(([type, value]) => ({
+        labels: { type },
+        value,
+      })),
+    },
+    {
+      name: "nodejs_eventloop_delay_seconds",
+      help: "Event-loop delay percentiles over the last second.",
+      type: "gauge",
+      samples: [
+        // "quantile" is reserved for summaries, so use a plain label here
+        ...["p50", "p90", "p99", "max"].map((percentile) => ({
+          labels: { percentile },
+          value: eventLoopDelay[percentile] / 1000,
+        })),
+      ],
+    },
+    {
+      name: "nodejs_eventloop_utilization_ratio",
+      help: "Fraction of the last second the event loop was busy.",
+      type: "gauge",
+      samples: [{ value: eventLoopUtilization.utilization }],
+    },
+    {
+      name: "pressure_active_connections",
+      help: "Open HTTP connections to the server.",
+      type: "gauge",
+      samples: [{ value: state.activeConnections }],
+    },
+    ...(state.http.protocol !== "http1"
+      ? [
+          {
+            name: "pressure_http2_sessions",
+            help: "Open HTTP/2 sessions (one per client connection).",
+            type: "gauge",
+            samples: [{ value: state.http.sessions }],
+          },
+          {
+            name: "pressure_http2_streams",
+            help: "Open HTTP/2 streams (one per request or event stream) across all sessions.",
+            type: "gauge",
+            samples: [{ value: state.http.streams }],
+          },
+          {
+            name: "pressure_http2_sessions_opened",
+            help: "HTTP/2 sessions opened.",
+            type: "counter",
+            samples: [{ value: state.http.sessionsOpened }],
+          },
+          {
+            name: "pressure_http2_streams_opened",
+            help: "HTTP/2 streams opened.",
+            type: "counter",
+            samples: [{ value: state.http.streamsOpened }],
+          },
+        ]
+      : []),
+    {
+      name: "pressure_sse_subscribers",
+      help: "Open /sse streams subscribed to updates.",
+      type: "gauge",
+      samples: [{ value: state.sseSubscribers }],
+    },
+    {
+      name: "pressure_sse_slow_clients",
+      help: "Open /sse streams whose writes are currently backed up.",
+      type: "gauge",
+      samples: [{ value: state.sseBackpressure.slowClients }],
+    },
+    {
+      name: "pressure_sse_buffered_bytes",
+      help: "Bytes written to /sse streams but not yet flushed to the network.",
+      type: "gauge",
+      samples: [{ value: state.sseBackpressure.bufferedBytes }],
+    },
+    {
+      name: "pressure_sse_slow_events",
+      help: "Times an /sse stream became backed up.",
+      type: "counter",
+      samples: [{ value: state.sseBackpressure.slowEvents }],
+    },
+    {
+      name: "pressure_sse_drain_events",
+      help: "Times a backed-up /sse stream drained.",
+      type: "counter",
+      samples: [{ value: state.sseBackpressure.drainEvents }],
+    },
+    {
+      name: "pressure_sse_dropped_updates",
+      help: "Updates skipped for slow /sse clients under the latest-only policy.",
+      type: "counter",
+      samples: [{ value: state.sseBackpressure.droppedUpdates }],
+    },
+    {
+      name: "pressure_sse_evicted_clients",
+      help: "Slow /sse clients disconnected for exceeding the buffer limit.",
+      type: "counter",
+      samples: [{ value: state.sseBackpressure.evictedClients }],
+    },
+    {
+      name: "pressure_topics",
+      help: "Topics served, and how many of them have at least one subscriber.",
+      type: "gauge",
+      samples: [
+        { labels: { state: "configured" }, value: state.topics.count },
+        { labels: { state: "subscribed" }, value: state.topics.activeTopics },
+      ],
+    },
+    {
+      name: "pressure_topic_subscriptions",
+      help: "Topic subscriptions held by open /sse, /ws and /longpoll clients.",
+      type: "gauge",
+      samples: [{ value: state.topics.subscriptions }],
+    },
+    {
+      name: "pressure_topic_deliveries",
+      help: "Updates handed to subscribed clients by the topic router.",
+      type: "counter",
+      samples: [{ value: state.topics.deliveries }],
+    },
+    {
+      name: "pressure_poll_responses",
+      help: "/poll responses by status: full 200 answers and conditional 304s.",
+      type: "counter",
+      samples: Object.entries(state.poll.responses).map(([status, value]) => ({
+        labels: { status },
+        value,
+      })),
+    },
+    ...(state.poll.cache
+      ? [
+          {
+            name: "pressure_poll_cache_lookups",
+            help: "/poll lookups answered by the server-side cache (hit) or the data source (miss).",
+            type: "counter",
+            samples: [
+              { labels: { result: "hit" }, value: state.poll.cache.hits },
+              { labels: { result: "miss" }, value: state.poll.cache.misses },
+            ],
+          },
+        ]
+      : []),
+    {
+      name: "pressure_update_sent_bytes",
+      help: "Update bytes sent per transport, before (uncompressed) and after (sent) compression. Bodies and event streams only.",
+      type: "counter",
+      samples: Object.entries(state.bytesSent).flatMap(([transport, counts]) => [
+        { labels: { transport, stage: "uncompressed" }, value: counts.uncompressedBytes },
+        { labels: { transport, stage: "sent" }, value: counts.sentBytes },
+      ]),
+    },
+    {
+      name: "pressure_admission_rejections",
+      help: "Requests turned away by admission control, by transport and reason: shed (event loop lag), capacity or rate_limited.",
+      type: "counter",
+      samples: Object.entries(state.admission.rejected).flatMap(([transport, counts]) => [
+        { labels: { transport, reason: "shed" }, value: counts.shed },
+        { labels: { transport, reason: "capacity" }, value: counts.capacity },
+        { labels: { transport, reason: "rate_limited" }, value: counts.rateLimited },
+      ]),
+    },
+    {
+      name: "pressure_load_shedding",
+      help: "1 while requests are being shed for event loop lag, else 0.",
+      type: "gauge",
+      samples: [{ value: state.admission.shedding ? 1 : 0 }],
+    },
+    {
+      name: "pressure_auth_verifications",
+      help: "Token verifications per transport: every /poll request, once per /sse connection.",
+      type: "counter",
+      samples: Object.entries(state.auth.verifications).map(([transport, { count }]) => ({
+        labels: { transport },
+        value: count,
+      })),
+    },
+    {
+      name: "pressure_auth_verify_seconds",
+      help: "Time spent verifying tokens per transport, including authVerifyCostMs.",
+      type: "counter",
+      samples: Object.entries(state.auth.verifications).map(([transport, { totalMs }]) => ({
+        labels: { transport },
+        value: totalMs / 1000,
+      })),
+    },
+    {
+      name: "pressure_auth_failures",
+      help: "Requests refused with 401, by reason: missing, invalid or expired token.",
+      type: "counter",
+      samples: Object.entries(state.auth.failures).map(([reason, value]) => ({ labels: { reason }, value })),
+    },
+    {
+      name: "pressure_auth_expired_streams",
+      help: "SSE streams ended because their token expired.",
+      type: "counter",
+      samples: [{ value: state.auth.expiredStreams }],
+    },
+    {
+      name: "pressure_identity_requests",
+      help: "Authenticated requests per identity and transport.",
+      type: "counter",
+      samples: Object.entries(state.auth.identities).flatMap(([identity, entry]) => [
+        { labels: { identity, transport: "poll" }, value: entry.poll },
+        { labels: { identity, transport: "sse" }, value: entry.sse },
+      ]),
+    },
+    {
+      name: "pressure_identity_updates",
+      help: "Updates delivered to each authenticated identity.",
+      type: "counter",
+      samples: Object.entries(state.auth.identities).map(([identity, entry]) => ({
+        labels: { identity },
+        value: entry.updates,
+      })),
+    },
+    {
+      name: "pressure_identity_open_streams",
+      help: "Open SSE streams per authenticated identity.",
+      type: "gauge",
+      samples: Object.entries(state.auth.identities).map(([identity, entry]) => ({
+        labels: { identity },
+        value: entry.openStreams,
+      })),
+    },
+    {
+      name: "pressure_log_entries",
+      help: "Log entries by outcome: written, dropped on a full buffer, or skipped by sampling.",
+      type: "counter",
+      samples: [
+        { labels: { outcome: "written" }, value: state.logging.written },
+        { labels: { outcome: "dropped" }, value: state.logging.dropped },
+        { labels: { outcome: "sampled_out" }, value: state.logging.sampledOut },
+      ],
+    },
+    {
+      name: "pressure_log_bytes",
+      help: "Bytes of log output written.",
+      type: "counter",
+      samples: [{ value: state.logging.bytes }],
+    },
+    {
+      name: "pressure_websocket_clients",
+      help: "Open /ws connections.",
+      type: "gauge",
+      samples: [{ value: state.wsClients }],
+    },
+    {
+      name: "pressure_http_requests",
+      help: "HTTP requests received, by route.",
+      type: "counter",
+      samples: [...requestCounts].map(([route, value]) => ({
+        labels: { route },
+        value,
+      })),
+    },
+    {
+      name: "pressure_current_value",
+      help: "Number of data source updates emitted on the default topic.",
+      type: "counter",
+      samples: [{ value: state.currentValue }],
+    },
+    {
+      name: "pressure_updates_received",
+      help: "Data source updates received, across all topics.",
+      type: "counter",
+      samples: [{ value: state.updatesReceived }],
+    },
+  ];
+};
+
+module.exports = {
+  loopStats: () => loopStats,
+  recordLatency: routeHistograms.record,
+  routeLatency: routeHistograms.summary,
+  recordEmitLag: emitLagHistograms.record,
+  emitLag: emitLagHistograms.summary,
+  countRequest,
+  formatPrometheus,
+  prometheusFamilies,
+};
@@ -0,0 +1,106 @@
+// payloads.js
+// Synthetic payloads carried by every update message (as `padding`), to study
+// bandwidth and compression. Live settings (see config.js):
+//   payloadBytes        - roughly how big the payload is once serialized; 0 for none
+//   payloadShape        - what it looks like, which decides how well it compresses:
+//     filler  - one repeated character (compresses to almost nothing)
+//     text    - words from a small vocabulary, like prose
+//     records - a list of small objects sharing their keys, like an API listing
+//     random  - random base64 (doesn't compress)
+//   payloadChurnPercent - share of the payload regenerated for each new value
+//                         of a topic; filler never changes
+// Each topic gets its own payload when first sent, so memory grows with the
+// number of topics in use times payloadBytes.
+const crypto = require("crypto");
+
+const SHAPES = ["filler", "text", "records", "random"];
+
+const WORDS = [
+  "pressure", "update", "stream", "client", "server", "value", "event", "topic",
+  "latency", "socket", "buffer", "frame", "request", "response", "window", "delta",
+  "signal", "metric", "sample", "queue", "batch", "cache", "shard", "replica",
+];
+const STATUSES = ["active", "idle", "degraded", "offline"];
+// Characters per random chunk (48 random bytes as base64)
+const RANDOM_CHUNK = 64;
+
+const pick = (list) => list[crypto.randomInt(list.length)];
+
+// Units are what churn replaces: words, random chunks or records
+const createUnit = {
+  text: () => pick(WORDS),
+  random: () => crypto.randomBytes(48).toString("base64"),
+  records: (id) => ({
+    id,
+    name: `${pick(WORDS)}-${pick(WORDS)}`,
+    status: pick(STATUSES),
+    score: crypto.randomInt(100000),
+    updatedAt: new Date().toISOString(),
+  }),
+};
+
+const generateUnits = (shape, bytes) => {
+  const units = [];
+  if (shape === "random") {
+    for (let size = 0; size < bytes; size += RANDOM_CHUNK) units.push(createUnit.random());
+  } else if (shape === "text") {
+    for (let size = 0; size < bytes; size += units[units.length - 1].length + 1) {
+      units.push(createUnit.text());
+    }
+  } else {
+    // "[" and "]", then each record and the comma before all but the first
+    for (let size = 1; size < bytes; size += JSON.stringify(units[units.length - 1]).length + 1) {
+      units.push(createUnit.records(units.length));
+    }
+  }
+  return units;
+};
+
+// The payload as sent; strings are cut to the exact size
+const render = (shape, bytes, units) => {
+  if (shape === "text") return units.join(" ").slice(0, bytes);
+  if (shape === "random") return units.join("").slice(0, bytes);
+  return units;
+};
+
+const createPayloads = (config) => {
+  // topic -> { key, value, units, payload }
+  const byTopic = new Map();
+  let filler = "";
+
+  const churn = (state, shape) => {
+    const count = Math.round((state.units.length * config.payloadChurnPercent) / 100);
+    for (let i = 0; i < count; i++) {
+      const index = crypto.randomInt(state.units.length);
+      state.units[index] = createUnit[shape](index);
+    }
+  };
+
+  // The payload to send with `update`, or null when payloads are off. A topic's
+  // payload churns once per new value, however many clients it goes to.
+  const forUpdate = ({ topic, value }) => {
+    const { payloadBytes: bytes, payloadShape: shape } = config;
+    if (bytes === 0) return null;
+    if (shape === "filler") {
+      if (filler.length !== bytes) filler = "x".repeat(bytes);
+      return filler;
+    }
+
+    const key = `${shape}:${bytes}`;
+    let state = byTopic.get(topic);
+    if (!state || state.key !== key) {
+      const units = generateUnits(shape, bytes);
+      state = { key, value, units, payload: render(shape, bytes, units) };
+      byTopic.set(topic, state);
+    } else if (value > state.value) {
+      state.value = value;
+      churn(state, shape);
+      state.payload = render(shape, bytes, state.units);
+    }
+    return state.payload;
+  };
+
+  return { forUpdate };
+};
+
+module.exports = { SHAPES, createPayloads };
@@ -0,0 +1,335 @@
+// plans.js
+// Scripted load plans. A plan is a list of phases, each setting (or ramping
+// to) a number of clients per transport for a while. Running one drives a
+// client pool (clientpool.js) phase by phase and samples the server's metrics,
+// so the timeline report lines every phase up with what the server did.
+//
+// Plans are JSON or YAML:
+//
+//   name: sse ramp, then pollers
+//   pool: child            # or in-process
+//   sampleIntervalMs: 1000
+//   phases:
+//     - name: ramp
+//       duration: 60       # seconds
+//       ramp: true         # move to the targets linearly, not all at once
+//       clients: { sse: 1000 }
+//     - name: pollers
+//       duration: 30
+//       clients: { poll: 200 }
+//       interval: 300      # ms between requests for the new poll clients
+//     - name: hold
+//       duration: 120
+//
+// Transports a phase doesn't name keep their current count; 0 stops them.
+const YAML = require("yaml");
+const { MODES } = require("./clientpool");
+const { summarizeSnapshots } = require("./runs");
+
+const LIMITS = { phases: 100, durationSeconds: 86400, clients: 100000 };
+const POOLS = ["child", "in-process"];
+
+// How often a ramping phase adjusts its client counts
+const RAMP_STEP_MS = 500;
+
+// Finished plan runs kept for GET /plans
+const MAX_FINISHED_RUNS = 20;
+
+// A plan from a request body: an object (parsed JSON) or YAML text.
+// Returns { plan } or { errors }.
+const parsePlan = (body) => {
+  if (typeof body !== "string") return { plan: body };
+  try {
+    return { plan: YAML.parse(body) };
+  } catch (err) {
+    return { errors: [`Plan is not valid YAML: ${err.message}`] };
+  }
+};
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isIntegerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Problems with a plan; empty when valid. `topicCount` is what the server
+// serves, so `topics` can't ask for more.
+const validatePlan = (plan, { topicCount }) => {
+  if (!isObject(plan)) return ["Plan must be an object"];
+
+  const errors = [];
+  const known = ["name", "pool", "sampleIntervalMs", "topics", "phases"];
+  for (const key of Object.keys(plan)) {
+    if (!known.includes(key)) errors.push(`Unknown plan field: ${key}`);
+  }
+  if (plan.name !== undefined && typeof plan.name !== "string") errors.push("name must be a string");
+  if (plan.pool !== undefined && !POOLS.includes(plan.pool)) {
+    errors.push(`pool must be one of: ${POOLS.join(", ")}`);
+  }
+  if (plan.sampleIntervalMs !== undefined && !isIntegerIn(plan.sampleIntervalMs, 100, 60000)) {
+    errors.push("sampleIntervalMs must be an integer between 100 and 60000");
+  }
+  if (plan.topics !== undefined && !isIntegerIn(plan.topics, 1, topicCount)) {
+    errors.push(`topics must be an integer between 1 and ${topicCount} (the server's topicCount)`);
+  }
+  if (!Array.isArray(plan.phases) || plan.phases.length === 0) {
+    errors.push("phases must be a non-empty list");
+    return errors;
+  }
+  if (plan.phases.length > LIMITS.phases) errors.push(`A plan can have at most ${LIMITS.phases} phases`);
+
+  const phaseFields = ["name", "duration", "ramp", "clients", "interval", "conditional"];
+  plan.phases.forEach((phase, i) => {
+    const where = `phases[${i}]`;
+    if (!isObject(phase)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    for (const key of Object.keys(phase)) {
+      if (!phaseFields.includes(key)) errors.push(`${where}: unknown field ${key}`);
+    }
+    if (phase.name !== undefined && typeof phase.name !== "string") {
+      errors.push(`${where}.name must be a string`);
+    }
+    if (typeof phase.duration !== "number" || !(phase.duration > 0 && phase.duration <= LIMITS.durationSeconds)) {
+      errors.push(`${where}.duration must be a number of seconds between 0 and ${LIMITS.durationSeconds}`);
+    }
+    for (const flag of ["ramp", "conditional"]) {
+      if (phase[flag] !== undefined && typeof phase[flag] !== "boolean") {
+        errors.push(`${where}.${flag} must be true or false`);
+      }
+    }
+    if (phase.interval !== undefined && !isIntegerIn(phase.interval, 1, 60000)) {
+      errors.push(`${where}.interval must be an integer between 1 and 60000`);
+    }
+    if (phase.clients !== undefined) {
+      if (!isObject(phase.clients)) {
+        errors.push(`${where}.clients must map transports to client counts`);
+        return;
+      }
+      for (const [mode, count] of Object.entries(phase.clients)) {
+        if (!MODES.includes(mode)) {
+          errors.push(`${where}.clients: unknown transport ${mode}, expected one of: ${MODES.join(", ")}`);
+        } else if (!isIntegerIn(count, 0, LIMITS.clients)) {
+          errors.push(`${where}.clients.${mode} must be an integer between 0 and ${LIMITS.clients}`);
+        }
+      }
+    }
+  });
+  return errors;
+};
+
+// A validated plan with every default filled in
+const normalizePlan = (plan, { clientIntervalMs }) => ({
+  name: plan.name || "unnamed plan",
+  pool: plan.pool || "child",
+  sampleIntervalMs: plan.sampleIntervalMs || 1000,
+  topics: plan.topics || 1,
+  phases: plan.phases.map((phase, i) => ({
+    name: phase.name || `phase ${i + 1}`,
+    duration: phase.duration,
+    ramp: phase.ramp || false,
+    clients: phase.clients || {},
+    interval: phase.interval || clientIntervalMs,
+    conditional: phase.conditional || false,
+  })),
+});
+
+const sumErrors = (stats) => Object.values(stats.errors).reduce((a, b) => a + b, 0);
+
+// Client figures for one phase: what changed in the pool's counters between
+// its first and last stats
+const summarizeClients = (before, after, samples) =>
+  Object.fromEntries(
+    MODES.filter((mode) => after[mode].clients > 0 || after[mode].messages > before[mode].messages)
+      .map((mode) => [
+        mode,
+        {
+          clients: after[mode].clients,
+          messages: after[mode].messages - before[mode].messages,
+          errors: sumErrors(after[mode]) - sumErrors(before[mode]),
+          connectionsFailed: after[mode].connectionsFailed - before[mode].connectionsFailed,
+          droppedEvents: after[mode].dropped - before[mode].dropped,
+          // Interval percentiles can't be merged; the worst one shows the peak
+          maxP99Ms: Math.max(0, ...samples.map((s) => s.latencyMs[mode]?.p99 || 0)),
+        },
+      ]),
+  );
+
+// Options:
+//   snapshot   - resolves with the server's metrics (what /metrics reports)
+//   createPool - (plan) -> client pool pointed at the server
+const createPlanStore = ({ snapshot, createPool }) => {
+  const runs = new Map();
+  let nextId = Date.now();
+  let active = null;
+
+  const execute = async (run, plan, control) => {
+    const pool = createPool(plan);
+    const startedAt = Date.now();
+    const counts = Object.fromEntries(MODES.map((mode) => [mode, 0]));
+    let phaseIndex = null;
+    // Pool stats as each phase started, to work out what it did
+    const statsBefore = [];
+
+    const sleep = (ms) =>
+      new Promise((resolve) => {
+        const timer = setTimeout(resolve, ms);
+        control.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+
+    const takeSample = async () => {
+      const [server, latencyMs] = await Promise.all([snapshot(), pool.takeLatency()]);
+      const t = Date.now();
+      run.samples.push({
+        t,
+        offsetMs: t - startedAt,
+        // Index into run.phases
+        phase: phaseIndex,
+        clients: { ...counts },
+        latencyMs: Object.fromEntries(
+          Object.entries(latencyMs).filter(([, summary]) => summary.count > 0),
+        ),
+        server: {
+          cpuUsage: server.cpuUsage,
+          memoryUsage: server.memoryUsage,
+          activeRequests: server.activeRequests,
+          eventLoopDelay: server.eventLoopDelay,
+          eventLoopUtilization: server.eventLoopUtilization,
+        },
+      });
+    };
+
+    const sampler = setInterval(() => takeSample().catch(() => {}), plan.sampleIntervalMs);
+    let statsAfter;
+
+    try {
+      for (const [index, phase] of plan.phases.entries()) {
+        if (control.stopped) break;
+
+        const from = { ...counts };
+        const targets = { ...counts, ...phase.clients };
+        const clientOptions = {
+          interval: phase.interval,
+          topics: plan.topics,
+          conditional: phase.conditional,
+        };
+        // Move each transport `fraction` of the way from where the phase started
+        const apply = (fraction) => {
+          for (const mode of MODES) {
+            const count = Math.round(from[mode] + (targets[mode] - from[mode]) * fraction);
+            if (count === counts[mode]) continue;
+            pool.resize(mode, count, clientOptions);
+            counts[mode] = count;
+          }
+        };
+
+        phaseIndex = index;
+        const phaseStart = Date.now();
+        const record = {
+          name: phase.name,
+          startOffsetMs: phaseStart - startedAt,
+          endOffsetMs: null,
+          targets,
+          ramp: phase.ramp,
+        };
+        statsBefore.push(await pool.stats());
+        run.phases.push(record);
+        run.currentPhase = phase.name;
+
+        apply(phase.ramp ? 0 : 1);
+        // A sample at every boundary, so each phase's first figures are its own
+        await takeSample();
+
+        const durationMs = phase.duration * 1000;
+        let elapsed = Date.now() - phaseStart;
+        while (!control.stopped && elapsed < durationMs) {
+          await sleep(phase.ramp ? Math.min(RAMP_STEP_MS, durationMs - elapsed) : durationMs - elapsed);
+          elapsed = Date.now() - phaseStart;
+          if (phase.ramp) apply(Math.min(1, elapsed / durationMs));
+        }
+        record.endOffsetMs = Date.now() - startedAt;
+      }
+
+      await takeSample().catch(() => {});
+      statsAfter = await pool.stats();
+    } finally {
+      clearInterval(sampler);
+      await pool.close();
+    }
+
+    // Phase summaries, now that each phase's samples are known
+    run.phases.forEach((record, i) => {
+      const samples = run.samples.filter((s) => s.phase === i && s.offsetMs <= record.endOffsetMs);
+      record.summary = {
+        server: summarizeSnapshots(samples.map((s) => ({ t: s.t, ...s.server }))),
+        clients: summarizeClients(statsBefore[i], statsBefore[i + 1] || statsAfter, samples),
+      };
+    });
+  };
+
+  // Start a normalized plan; only one runs at a time
+  const start = (plan) => {
+    const id = String(nextId++);
+    const run = {
+      id,
+      name: plan.name,
+      status: "running",
+      startedAt: Date.now(),
+      endedAt: null,
+      currentPhase: null,
+      plan,
+      phases: [],
+      samples: [],
+    };
+    runs.set(id, run);
+
+    const control = { stopped: false, wake: () => {} };
+    const done = execute(run, plan, control)
+      .then(() => {
+        run.status = control.stopped ? "stopped" : "completed";
+      })
+      .catch((err) => {
+        run.status = "failed";
+        run.error = err.message;
+      })
+      .finally(() => {
+        run.endedAt = Date.now();
+        run.currentPhase = null;
+        active = null;
+        // Forget the oldest finished runs past the cap
+        const finished = [...runs.values()].filter((r) => r.status !== "running");
+        finished.slice(0, -MAX_FINISHED_RUNS).forEach((r) => runs.delete(r.id));
+      });
+
+    active = { run, control, done };
+    return run;
+  };
+
+  // Stop the running plan early; resolves once its clients are gone
+  const stop = async (id) => {
+    if (!active || (id !== undefined && active.run.id !== id)) return runs.get(id) || null;
+    const { run, control, done } = active;
+    control.stopped = true;
+    control.wake();
+    await done;
+    return run;
+  };
+
+  return {
+    start,
+    stop,
+    // Stop whatever is running, e.g. on shutdown
+    stopAll: () => stop(),
+    active: () => (active ? active.run : null),
+    get: (id) => runs.get(id) || null,
+    // Everything but the samples, newest first
+    list: () =>
+      [...runs.values()]
+        .map(({ samples, plan, ...rest }) => ({ ...rest, sampleCount: samples.length }))
+        .sort((a, b) => b.startedAt - a.startedAt),
+  };
+};
+
+module.exports = { parsePlan, validatePlan, normalizePlan, createPlanStore };
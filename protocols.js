@@ -0,0 +1,159 @@
+// protocols.js
+// The HTTP server under the app, per config.httpProtocol:
+//   http1 - plain HTTP/1.1 (the default)
+//   h2c   - cleartext HTTP/2 with prior knowledge. curl --http2-prior-knowledge
+//           and Node's http2.connect() speak it; browsers don't, and there is
+//           no HTTP/1.1 fallback, so /ws is unavailable.
+//   h2    - HTTP/2 over TLS, falling back to HTTP/1.1 for clients that don't
+//           negotiate h2 (WebSocket upgrades always do). Uses tlsCertFile and
+//           tlsKeyFile, generating a self-signed pair for localhost when
+//           neither exists.
+// Under HTTP/2 a client's requests share one connection (a session) as
+// separate streams, so the server counts both.
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const http2 = require("http2");
+const { execFileSync } = require("child_process");
+const express = require("express");
+
+const PROTOCOLS = ["http1", "h2c", "h2"];
+
+// Create the key and a self-signed certificate for localhost with openssl,
+// unless both files are already there
+const ensureCertificate = ({ tlsCertFile, tlsKeyFile }) => {
+  if (fs.existsSync(tlsCertFile) && fs.existsSync(tlsKeyFile)) return;
+  fs.mkdirSync(path.dirname(tlsCertFile), { recursive: true });
+  fs.mkdirSync(path.dirname(tlsKeyFile), { recursive: true });
+  try {
+    execFileSync(
+      "openssl",
+      [
+        "req", "-x509", "-newkey", "rsa:2048", "-nodes", "-days", "365",
+        "-subj", "/CN=localhost",
+        "-addext", "subjectAltName=DNS:localhost,IP:127.0.0.1,IP:::1",
+        "-keyout", tlsKeyFile,
+        "-out", tlsCertFile,
+      ],
+      { stdio: "ignore" },
+    );
+  } catch (err) {
+    throw new Error(
+      `Could not generate a self-signed certificate with openssl (${err.message}); ` +
+        "set tlsCertFile and tlsKeyFile to an existing pair instead",
+    );
+  }
+};
+
+// Express 4 rebases every request and response onto its own prototypes, which
+// inherit from http.IncomingMessage and http.ServerResponse. HTTP/2
+// compatibility objects need the same helpers on top of Http2ServerRequest and
+// Http2ServerResponse instead, so the first middleware swaps them back.
+const expressOverHttp2 = (app) => {
+  const withHelpers = (base, helpers) =>
+    Object.create(base, {
+      ...Object.getOwnPropertyDescriptors(helpers),
+      app: { configurable: true, enumerable: true, writable: true, value: app },
+    });
+  const requestProto = withHelpers(http2.Http2ServerRequest.prototype, express.request);
+  const responseProto = withHelpers(http2.Http2ServerResponse.prototype, express.response);
+  // Express's prototypes hide httpVersionMajor, so remember which is which
+  const http2Requests = new WeakSet();
+
+  app.use((req, res, next) => {
+    if (http2Requests.has(req)) {
+      Object.setPrototypeOf(req, requestProto);
+      Object.setPrototypeOf(res, responseProto);
+    }
+    next();
+  });
+
+  return (req, res) => {
+    if (req.httpVersionMajor === 2) {
+      http2Requests.add(req);
+      // Routing rewrites req.url, which is a read-only getter here
+      Object.defineProperty(req, "url", { configurable: true, enumerable: true, writable: true, value: req.url });
+    }
+    app(req, res);
+  };
+};
+
+// The server for `config.httpProtocol`, with what it takes to count and close
+// its connections. Call before adding any other middleware to `app`.
+const createHttpServer = (app, config) => {
+  const protocol = config.httpProtocol;
+  if (protocol === "http1") {
+    const server = http.createServer(app);
+    return {
+      server,
+      protocol,
+      scheme: "http",
+      stats: () => ({ protocol, connections: server._connections }),
+      closeIdle: () => server.closeIdleConnections(),
+      closeAll: () => server.closeAllConnections(),
+    };
+  }
+
+  const handler = expressOverHttp2(app);
+  const settings = { maxConcurrentStreams: config.http2MaxConcurrentStreams };
+  let server;
+  if (protocol === "h2") {
+    ensureCertificate(config);
+    server = http2.createSecureServer(
+      {
+        key: fs.readFileSync(config.tlsKeyFile),
+        cert: fs.readFileSync(config.tlsCertFile),
+        allowHTTP1: true,
+        settings,
+      },
+      handler,
+    );
+  } else {
+    server = http2.createServer({ settings }, handler);
+  }
+
+  // Every socket, HTTP/2 or HTTP/1.1 fallback, so closeAll() can drop them
+  const sockets = new Set();
+  const sessions = new Set();
+  const totals = { sessionsOpened: 0, streamsOpened: 0 };
+  let activeStreams = 0;
+
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+  server.on("session", (session) => {
+    sessions.add(session);
+    totals.sessionsOpened++;
+    session.on("close", () => sessions.delete(session));
+  });
+  // Ahead of the server's own listener, which hands the request to the app
+  server.prependListener("stream", (stream) => {
+    activeStreams++;
+    totals.streamsOpened++;
+    stream.on("close", () => activeStreams--);
+  });
+
+  return {
+    server,
+    protocol,
+    scheme: protocol === "h2" ? "https" : "http",
+    // `streams` includes the dashboard's own metric stream
+    stats: () => ({
+      protocol,
+      connections: server._connections,
+      sessions: sessions.size,
+      streams: activeStreams,
+      streamsPerSession: sessions.size > 0 ? Number((activeStreams / sessions.size).toFixed(2)) : 0,
+      ...totals,
+    }),
+    // GOAWAY: sessions take no new streams and close once theirs finish
+    closeIdle: () => sessions.forEach((session) => session.close()),
+    closeAll: () => {
+      sessions.forEach((session) => session.destroy());
+      sockets.forEach((socket) => socket.destroy());
+    },
+  };
+};
+
+module.exports = { PROTOCOLS, ensureCertificate, createHttpServer };
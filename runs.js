@@ -0,0 +1,254 @@
+// runs.js
+// Recorded benchmark runs. A run collects the latency samples the test page
+// reports plus periodic server metric snapshots, and is appended to an NDJSON
+// file when it ends so history survives restarts.
+//
+// Runs live in the process that started them; in cluster mode a run's
+// requests need to reach the same worker (the page's keep-alive connection
+// usually does).
+const fs = require("fs");
+const { createHistogram } = require("perf_hooks");
+const { createLogger } = require("./logger");
+
+// Caps keep a forgotten run from growing without bound
+const MAX_SAMPLES_PER_RUN = 100000;
+const MAX_SNAPSHOTS_PER_RUN = 3600;
+
+const usToMs = (us) => Number((us / 1000).toFixed(3));
+
+// Latency summary for each sample type (polling, sse, ...) in a run
+const summarizeSamples = (samples) => {
+  const histograms = new Map();
+  for (const { type, latency } of samples) {
+    if (!histograms.has(type)) histograms.set(type, createHistogram());
+    histograms.get(type).record(Math.max(1, Math.round(latency * 1000)));
+  }
+
+  const summary = {};
+  for (const [type, histogram] of histograms) {
+    summary[type] = {
+      count: histogram.count,
+      mean: usToMs(histogram.mean || 0),
+      p50: usToMs(histogram.percentile(50)),
+      p90: usToMs(histogram.percentile(90)),
+      p99: usToMs(histogram.percentile(99)),
+      max: usToMs(histogram.max),
+    };
+  }
+  return summary;
+};
+
+// Peak and average server figures over a run's metric snapshots
+const summarizeSnapshots = (snapshots) => {
+  if (snapshots.length === 0) return null;
+
+  const max = (pick) => Math.max(...snapshots.map(pick));
+  const avg = (pick) => snapshots.reduce((total, s) => total + pick(s), 0) / snapshots.length;
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+  const cpuMicros =
+    last.cpuUsage.user + last.cpuUsage.system - first.cpuUsage.user - first.cpuUsage.system;
+  const wallMicros = (last.t - first.t) * 1000;
+
+  return {
+    cpuPercent: wallMicros > 0 ? Number(((cpuMicros / wallMicros) * 100).toFixed(1)) : 0,
+    peakRss: max((s) => s.memoryUsage.rss),
+    peakHeapUsed: max((s) => s.memoryUsage.heapUsed),
+    peakConnections: max((s) => s.activeRequests),
+    maxLoopDelayP99: max((s) => s.eventLoopDelay.p99),
+    avgLoopUtilization: Number(avg((s) => s.eventLoopUtilization.utilization).toFixed(4)),
+  };
+};
+
+// `logger` (see logger.js) records runs stopped for being idle and files that
+// can't be read or written
+const createRunStore = ({
+  file,
+  sampleIntervalMs = 1000,
+  idleTimeoutMs = 60000,
+  logger = createLogger(),
+}) => {
+  const runs = new Map();
+  let nextId = Date.now();
+
+  // Load runs recorded by earlier processes
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const run = JSON.parse(line);
+        runs.set(run.id, run);
+      } catch (err) {
+        logger.warn("skipping unreadable run", { file, error: err.message });
+      }
+    }
+  }
+
+  const active = new Map();
+
+  // A run stays active until it has been saved, so a failed write (which
+  // rejects) leaves it running to be stopped again. Concurrent stops share
+  // one save.
+  const finish = (id) => {
+    const entry = active.get(id);
+    if (!entry) return Promise.resolve(runs.get(id) || null);
+    if (!entry.saving) {
+      entry.saving = save(entry).finally(() => (entry.saving = null));
+    }
+    return entry.saving;
+  };
+
+  const save = async (entry) => {
+    const { run } = entry;
+    const endedAt = Date.now();
+    const finished = {
+      ...run,
+      endedAt,
+      durationSeconds: Number(((endedAt - run.startedAt) / 1000).toFixed(2)),
+      summary: {
+        latency: summarizeSamples(run.samples),
+        server: summarizeSnapshots(run.snapshots),
+      },
+    };
+
+    await fs.promises.appendFile(file, JSON.stringify(finished) + "\n");
+    Object.assign(run, finished);
+    active.delete(run.id);
+    clearInterval(entry.sampler);
+    clearTimeout(entry.idleTimer);
+    return run;
+  };
+
+  const touch = (entry) => {
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = setTimeout(() => {
+      logger.info("run idle, stopping it", { runId: entry.run.id, idleTimeoutMs });
+      finish(entry.run.id).catch((err) =>
+        logger.error("could not save run", { runId: entry.run.id, error: err.message }),
+      );
+    }, idleTimeoutMs);
+    entry.idleTimer.unref();
+  };
+
+  // `snapshot` returns a metrics object; it is sampled every sampleIntervalMs
+  const start = (meta, snapshot) => {
+    const id = String(nextId++);
+    const run = {
+      id,
+      mode: meta.mode,
+      clients: meta.clients,
+      interval: meta.interval,
+      // Effective server config at the start, plus any later live changes
+      config: meta.config,
+      configChanges: [],
+      startedAt: Date.now(),
+      endedAt: null,
+      samples: [],
+      snapshots: [],
+    };
+    runs.set(id, run);
+
+    const sampler = setInterval(async () => {
+      if (run.snapshots.length >= MAX_SNAPSHOTS_PER_RUN) return;
+      const s = await snapshot();
+      run.snapshots.push({
+        t: Date.now(),
+        cpuUsage: s.cpuUsage,
+        memoryUsage: s.memoryUsage,
+        activeRequests: s.activeRequests,
+        eventLoopDelay: s.eventLoopDelay,
+        eventLoopUtilization: s.eventLoopUtilization,
+      });
+    }, sampleIntervalMs);
+    sampler.unref();
+
+    const entry = { run, sampler, idleTimer: null, saving: null };
+    active.set(id, entry);
+    touch(entry);
+    return run;
+  };
+
+  // Returns false when the run is unknown or already finished
+  const addSamples = (id, samples) => {
+    const entry = active.get(id);
+    if (!entry) return false;
+
+    const room = MAX_SAMPLES_PER_RUN - entry.run.samples.length;
+    entry.run.samples.push(...samples.slice(0, Math.max(0, room)));
+    touch(entry);
+    return true;
+  };
+
+  // Note a runtime config change in every run in progress
+  const recordConfigChange = (changes) => {
+    for (const { run } of active.values()) {
+      run.configChanges.push({ t: Date.now(), changes });
+    }
+  };
+
+  // Everything but the raw samples and snapshots, newest first
+  const list = () =>
+    [...runs.values()]
+      .map(({ samples, snapshots, ...rest }) => ({
+        ...rest,
+        sampleCount: samples.length,
+        active: active.has(rest.id),
+      }))
+      .sort((a, b) => b.startedAt - a.startedAt);
+
+  return {
+    start,
+    addSamples,
+    recordConfigChange,
+    stop: finish,
+    // Finish and save every run in progress, e.g. on shutdown. Runs that
+    // can't be saved are logged and left out of the result.
+    stopAll: async () => {
+      const ids = [...active.keys()];
+      const results = await Promise.allSettled(ids.map(finish));
+      results.forEach((result, i) => {
+        if (result.status === "rejected") {
+          logger.error("could not save run", { runId: ids[i], error: result.reason.message });
+        }
+      });
+      return results.filter((result) => result.status === "fulfilled").map((result) => result.value);
+    },
+    get: (id) => runs.get(id) || null,
+    list,
+  };
+};
+
+// CSV export: one row per latency sample, or one per metrics snapshot
+const toCsv = (run, table = "samples") => {
+  if (table === "metrics") {
+    const header = "t,cpu_user_us,cpu_system_us,rss_bytes,heap_used_bytes,active_connections,loop_delay_p99_ms,loop_utilization";
+    const rows = run.snapshots.map((s) =>
+      [
+        s.t,
+        s.cpuUsage.user,
+        s.cpuUsage.system,
+        s.memoryUsage.rss,
+        s.memoryUsage.heapUsed,
+        s.activeRequests,
+        s.eventLoopDelay.p99,
+        s.eventLoopUtilization.utilization,
+      ].join(","),
+    );
+    return [header, ...rows].join("\n") + "\n";
+  }
+
+  const header = "t,type,latency_ms";
+  const rows = run.samples.map((s) => [s.t, s.type, s.latency].join(","));
+  return [header, ...rows].join("\n") + "\n";
+};
+
+// Shape of one latency sample posted by the page
+const isValidSample = (sample) =>
+  sample &&
+  typeof sample.type === "string" &&
+  /^[a-z]+$/.test(sample.type) &&
+  Number.isFinite(sample.latency) &&
+  sample.latency >= 0 &&
+  Number.isFinite(sample.t);
+
+module.exports = { createRunStore, toCsv, isValidSample, summarizeSnapshots };
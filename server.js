@@ -0,0 +1,1314 @@
+// server.js
+// HTTP server for the demo: transports, metrics, dashboard and controls.
+const express = require("express");
+const { WebSocketServer } = require("ws");
+const { performance } = require("perf_hooks");
+const metrics = require("./metrics");
+const workload = require("./workload");
+const { createDataSource } = require("./datasources");
+const { withCache } = require("./datasources/cache");
+const cluster = require("./cluster");
+const { createRunStore, toCsv, isValidSample } = require("./runs");
+const { dashboardPage } = require("./dashboard");
+const { loadConfig, validateConfigPatch, publicConfig } = require("./config");
+const { createLogger } = require("./logger");
+const { DEFAULT_TOPIC, topicNames, createTopicRouter, parseTopics } = require("./topics");
+const { parsePlan, validatePlan, normalizePlan, createPlanStore } = require("./plans");
+const { createClientPool, forkClientPool } = require("./clientpool");
+const { createHttpServer } = require("./protocols");
+const { createPayloads } = require("./payloads");
+const { chooseEncoding, compress, createStreamWriter } = require("./compression");
+const { createAdmission } = require("./admission");
+const { createAuth, validateTokenRequest } = require("./auth");
+
+// Build the app and its HTTP server without listening, so it can run inside
+// tests. Options:
+//   config  - settings from config.js; defaults plus environment variables
+//   port    - port for listen(), overriding config.port; 0 picks a free one
+//   source  - data source adapter (see datasources/index.js); by default one
+//             is created from config, or the IPC proxy in a cluster worker
+//   now     - clock used for timestamps the server hands out
+//   logger  - structured logger (see logger.js); by default one is created
+//             from config and writes to stdout
+const createServer = ({
+  config: initialConfig = loadConfig({ env: process.env }),
+  port,
+  source: injectedSource,
+  now = Date.now,
+  logger: injectedLogger,
+} = {}) => {
+  // Live settings are read where they are used, so PUT /config takes effect
+  // without a restart
+  const config = { ...initialConfig };
+
+  const logger =
+    injectedLogger ||
+    createLogger({
+      level: config.logLevel,
+      sampling: config.logSampling,
+      flushIntervalMs: config.logFlushIntervalMs,
+      maxBufferBytes: config.logMaxBufferBytes,
+      now,
+    });
+
+  // Create Express app
+  const app = express();
+  // HTTP/1.1, or HTTP/2 per config.httpProtocol (see protocols.js)
+  const transport = createHttpServer(app, config);
+  const { server } = transport;
+
+  // Pluggable source of values (in-memory counter or Redis, see dataSource).
+  // Cluster workers receive it from the primary over IPC instead.
+  const source =
+    injectedSource ||
+    (cluster.isWorker()
+      ? cluster.createIpcDataSource()
+      : createDataSource(config, { now, logger }));
+
+  // Local fan-out of source updates to the clients subscribed to each topic
+  const dataSource = createTopicRouter();
+
+  // Where each topic is: its latest value, when that arrived, and recent
+  // updates kept for SSE Last-Event-ID replay (config.sseReplaySize per topic)
+  const topics = new Map(
+    topicNames(config.topicCount).map((topic) => [
+      topic,
+      { value: 0, updatedAt: now(), replayBuffer: [] },
+    ]),
+  );
+  let updatesReceived = 0;
+
+  const unsubscribe = source.subscribe((update) => {
+    const state = topics.get(update.topic);
+    // e.g. a shared Redis producer publishing more topics than we serve
+    if (!state) return;
+    state.value = update.value;
+    state.updatedAt = update.timestamp;
+    state.replayBuffer.push(update);
+    while (state.replayBuffer.length > config.sseReplaySize) state.replayBuffer.shift();
+    updatesReceived++;
+    dataSource.publish(update);
+  });
+
+  // The single topic named by ?key= on /poll and /longpoll (the default topic
+  // when absent). Returns { topic } or { errors }.
+  const parseKey = (key) => {
+    const { topics: selected, errors } = parseTopics(key, topics);
+    if (errors) return { errors };
+    if (selected.length > 1) return { errors: ["key must name a single topic"] };
+    return { topic: selected[0] };
+  };
+
+  const topicStats = () => ({ count: topics.size, ...dataSource.stats() });
+
+  // /poll lookups go through a short cache; pollCacheTtlMs=0 turns it off
+  const pollSource =
+    config.pollCacheTtlMs > 0 ? withCache(source, { ttlMs: config.pollCacheTtlMs, now }) : source;
+
+  // /poll responses by status, to compare full answers with 304s
+  const pollResponses = { 200: 0, 304: 0 };
+
+  const pollStats = () => ({
+    responses: { ...pollResponses },
+    cache: pollSource.cacheStats ? pollSource.cacheStats() : null,
+  });
+
+  // Body of every update sent to a client, on any transport. The synthetic
+  // payload (see payloads.js) makes it bigger without changing what clients
+  // read from it.
+  const payloads = createPayloads(config);
+  const updateMessage = (data, requestId) => {
+    const padding = payloads.forUpdate(data);
+    return {
+      data,
+      server_processed_at: new Date(now()).toISOString(),
+      request_id: requestId,
+      ...(padding && { padding }),
+    };
+  };
+
+  // Update bytes sent per transport, before and after compression. Only
+  // bodies and event streams count, not headers or framing.
+  const bytesSent = Object.fromEntries(
+    ["poll", "longpoll", "sse", "ws"].map((transport) => [
+      transport,
+      { uncompressedBytes: 0, sentBytes: 0 },
+    ]),
+  );
+
+  const countBytes = (transport, uncompressed, sent) => {
+    bytesSent[transport].uncompressedBytes += uncompressed;
+    bytesSent[transport].sentBytes += sent;
+  };
+
+  const bytesSentStats = () =>
+    Object.fromEntries(
+      Object.entries(bytesSent).map(([transport, counts]) => [
+        transport,
+        {
+          ...counts,
+          // Sent as a share of uncompressed; below 1 when compression helps
+          ratio: counts.uncompressedBytes > 0
+            ? Number((counts.sentBytes / counts.uncompressedBytes).toFixed(3))
+            : null,
+        },
+      ]),
+    );
+
+  // Send an update as JSON, compressed per `setting` (see compression.js) when
+  // the client accepts it and the body is at least compressionMinBytes
+  const sendUpdateJson = async (req, res, transport, message, setting = "off") => {
+    const body = JSON.stringify(message);
+    const uncompressed = Buffer.byteLength(body);
+    const encoding = chooseEncoding(req, setting);
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    if (setting !== "off") res.vary("Accept-Encoding");
+
+    if (!encoding || uncompressed < config.compressionMinBytes) {
+      countBytes(transport, uncompressed, uncompressed);
+      res.send(body);
+      return;
+    }
+    const compressed = await compress(body, encoding);
+    countBytes(transport, uncompressed, compressed.length);
+    res.setHeader("Content-Encoding", encoding);
+    res.send(compressed);
+  };
+
+  // Routes whose full request/response time is recorded in a latency histogram
+  const TIMED_ROUTES = new Set(["/poll", "/metrics"]);
+
+  // Routes that pay the per-request cost of the active workload scenario
+  const WORKLOAD_ROUTES = new Set(["/poll", "/longpoll", "/sse"]);
+
+  // Routes counted individually in request metrics; anything else is "other"
+  const KNOWN_ROUTES = new Set([
+    "/",
+    "/poll",
+    "/longpoll",
+    "/sse",
+    "/sse/disconnect",
+    "/metrics",
+    "/metrics/prometheus",
+    "/time",
+    "/scenario",
+    "/runs",
+    "/plans",
+    "/config",
+    "/auth/token",
+  ]);
+
+  // Open /sse responses, each with the writer its events go through
+  const sseClients = new Map();
+
+  // Slow-consumer handling for /sse. Policies:
+  //   buffer     - keep writing; Node buffers without limit (the default, to study growth)
+  //   latest     - while a client is backed up, skip intermediate updates and
+  //                send only the newest once it drains
+  //   disconnect - drop clients whose buffered bytes exceed sseMaxBufferBytes
+  // (config.sseSlowPolicy)
+
+  const slowSseClients = new Set();
+  const sseBackpressure = {
+    slowEvents: 0,
+    drainEvents: 0,
+    droppedUpdates: 0,
+    evictedClients: 0,
+  };
+
+  const sseBackpressureStats = () => {
+    let bufferedBytes = 0;
+    sseClients.forEach((client) => (bufferedBytes += client.writableLength));
+    return {
+      policy: config.sseSlowPolicy,
+      maxBufferBytes: config.sseMaxBufferBytes,
+      slowClients: slowSseClients.size,
+      bufferedBytes,
+      ...sseBackpressure,
+    };
+  };
+
+  // Admission control (see admission.js), shedding load on the event loop's
+  // p99 lag over the last second
+  const admission = createAdmission({
+    config,
+    now,
+    loopLagMs: () => metrics.loopStats().eventLoopDelay.p99,
+  });
+
+  // Routes that go through admission control, by transport
+  const ADMITTED_ROUTES = new Map([["/poll", "poll"], ["/longpoll", "longpoll"], ["/sse", "sse"]]);
+
+  // The key /poll is rate limited by (config.pollRateLimitBy)
+  const rateLimitKey = (req) => {
+    const clientId = config.pollRateLimitBy === "client" && (req.get("X-Client-Id") || req.query.clientId);
+    return clientId ? `client:${clientId}` : `ip:${req.ip}`;
+  };
+
+  // Token auth for /poll and /sse (see auth.js)
+  const auth = createAuth({ config, now });
+
+  // With authRequired, check the request's token for `transport`; the
+  // identity it names becomes req.identity and its expiry req.tokenExpiresAt
+  const authenticate = (transport) => (req, res, next) => {
+    if (!config.authRequired) {
+      next();
+      return;
+    }
+    const result = auth.authenticate(transport, {
+      authorization: req.get("Authorization"),
+      queryToken: req.query.token,
+    });
+    if (result.reason) {
+      res.setHeader(
+        "WWW-Authenticate",
+        result.reason === "missing" ? "Bearer" : `Bearer error="invalid_token", error_description="${result.message}"`,
+      );
+      res.status(401).json({ errors: [result.message] });
+      req.log.info("request unauthorized", { status: 401, reason: result.reason });
+      return;
+    }
+    req.identity = result.identity;
+    req.tokenExpiresAt = result.expiresAt;
+    next();
+  };
+
+  // Dashboard-only routes. They are not logged, counted or timed, so watching
+  // the experiment doesn't add to what is being measured.
+  const OBSERVER_ROUTES = new Set(["/metrics/stream"]);
+
+  // Set once shutdown() starts; requests arriving after that are turned away
+  let shuttingDown = false;
+
+  // Requests that have not finished yet, so shutdown can wait for them
+  const inFlight = new Set();
+  let onRequestDone = () => {};
+
+  // A request URL as logged: ?token= (see auth.js) is a credential, so it
+  // is masked
+  const loggedUrl = (url) => {
+    const parsed = new URL(url, "http://localhost");
+    if (!parsed.searchParams.has("token")) return url;
+    parsed.searchParams.set("token", "***");
+    return parsed.pathname + parsed.search;
+  };
+
+  // Middleware to log requests
+  app.use(async (req, res, next) => {
+    const requestId = Date.now() + Math.random().toString(36).substring(2, 9);
+    if (shuttingDown) {
+      // Keep-alive sockets can still carry requests; send them elsewhere.
+      // HTTP/2 sessions were already sent a GOAWAY for that.
+      if (req.httpVersionMajor === 1) res.setHeader("Connection", "close");
+      res.status(503).send("Server is shutting down");
+      return;
+    }
+    if (OBSERVER_ROUTES.has(req.path)) {
+      req.requestId = requestId;
+      next();
+      return;
+    }
+
+    const startTime = performance.now();
+
+    // Attach requestId and a logger that carries it to the request object
+    // for later use
+    req.requestId = requestId;
+    req.log = logger.forRequest(requestId, KNOWN_ROUTES.has(req.path) ? req.path : "other");
+    req.log.debug("request received", { method: req.method, url: loggedUrl(req.url) });
+    inFlight.add(res);
+    res.on("close", () => {
+      inFlight.delete(res);
+      onRequestDone();
+    });
+    metrics.countRequest(KNOWN_ROUTES.has(req.path) ? req.path : "other");
+
+    // Turned away before any timing or workload, so rejecting stays cheap
+    if (ADMITTED_ROUTES.has(req.path)) {
+      const admitted = admission.admit(ADMITTED_ROUTES.get(req.path), rateLimitKey(req));
+      if (!admitted.admitted) {
+        res.setHeader("Retry-After", String(admitted.retryAfterSeconds));
+        res.status(admitted.status).json({ errors: [admitted.message] });
+        req.log.debug("request rejected", { status: admitted.status, reason: admitted.reason });
+        return;
+      }
+      res.on("close", admitted.release);
+    }
+
+    // Streaming handlers record each send themselves under their route
+    req.recordLatency = (ms) => metrics.recordLatency(req.path, ms);
+
+    if (TIMED_ROUTES.has(req.path)) {
+      res.on("finish", () => {
+        req.recordLatency(performance.now() - startTime);
+      });
+    }
+
+    if (WORKLOAD_ROUTES.has(req.path)) {
+      workload.runRequestWorkload();
+    }
+    next();
+  });
+
+  // Recorded benchmark runs
+  const runStore = createRunStore({
+    file: config.runsFile,
+    sampleIntervalMs: config.runSampleIntervalMs,
+    logger,
+  });
+
+  app.get("/runs", (req, res) => {
+    res.json(runStore.list());
+  });
+
+  // The page's test modes; a run's mode ends up in its saved file and page
+  const RUN_MODES = ["polling", "longpoll", "sse", "ws"];
+
+  app.post("/runs", express.json(), (req, res) => {
+    const { mode, clients, interval } = req.body || {};
+    const errors = [];
+    if (!RUN_MODES.includes(mode)) errors.push(`mode must be one of ${RUN_MODES.join(", ")}`);
+    if (!Number.isInteger(clients) || clients <= 0) errors.push("clients must be a positive integer");
+    if (errors.length > 0) {
+      res.status(400).json({ errors });
+      return;
+    }
+
+    const run = runStore.start(
+      {
+        mode,
+        clients,
+        interval: Number.isInteger(interval) ? interval : null,
+        config: publicConfig(config),
+      },
+      metricsSnapshot,
+    );
+    req.log.info("run started", { runId: run.id, mode, clients });
+    res.status(201).json({ id: run.id });
+  });
+
+  app.post("/runs/:id/samples", express.json({ limit: "5mb" }), (req, res) => {
+    const samples = req.body && req.body.samples;
+    if (!Array.isArray(samples) || !samples.every(isValidSample)) {
+      res.status(400).json({ errors: ["samples must be an array of { t, type, latency } with latency >= 0"] });
+      return;
+    }
+    if (!runStore.addSamples(req.params.id, samples)) {
+      res.status(404).json({ errors: ["No active run with that id"] });
+      return;
+    }
+    res.status(204).end();
+  });
+
+  app.post("/runs/:id/stop", async (req, res) => {
+    let run;
+    try {
+      run = await runStore.stop(req.params.id);
+    } catch (err) {
+      req.log.error("could not save run", { runId: req.params.id, error: err.message });
+      res.status(500).json({ errors: [`Could not save run: ${err.message}`] });
+      return;
+    }
+    if (!run) {
+      res.status(404).json({ errors: ["No run with that id"] });
+      return;
+    }
+    req.log.info("run stopped", { runId: run.id });
+    res.json({ id: run.id, durationSeconds: run.durationSeconds, summary: run.summary });
+  });
+
+  app.get("/runs/:id", (req, res) => {
+    const run = runStore.get(req.params.id);
+    if (!run) {
+      res.status(404).json({ errors: ["No run with that id"] });
+      return;
+    }
+    res.json(run);
+  });
+
+  // ?format=json|csv, and for CSV ?table=samples|metrics
+  app.get("/runs/:id/export", (req, res) => {
+    const run = runStore.get(req.params.id);
+    if (!run) {
+      res.status(404).json({ errors: ["No run with that id"] });
+      return;
+    }
+
+    if (req.query.format === "csv") {
+      const table = req.query.table === "metrics" ? "metrics" : "samples";
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.attachment(`run-${run.id}-${table}.csv`);
+      res.send(toCsv(run, table));
+      return;
+    }
+
+    res.attachment(`run-${run.id}.json`);
+    res.json(run);
+  });
+
+  // Scripted load plans (see plans.js). The plan's clients connect back to
+  // this server, from a child process unless the plan asks for in-process.
+  const planStore = createPlanStore({
+    snapshot: () => metricsSnapshot(),
+    createPool: (plan) => {
+      const options = {
+        baseUrl: `${transport.scheme}://127.0.0.1:${server.address().port}`,
+        protocol: transport.protocol === "http1" ? "http1" : "h2",
+      };
+      return plan.pool === "in-process" ? createClientPool(options) : forkClientPool(options);
+    },
+  });
+
+  app.get("/plans", (req, res) => {
+    res.json(planStore.list());
+  });
+
+  // JSON, or YAML sent as text
+  const planBody = [
+    express.json(),
+    express.text({ type: ["application/yaml", "application/x-yaml", "text/yaml", "text/plain"] }),
+  ];
+
+  app.post("/plans", planBody, (req, res) => {
+    const { plan, errors: parseErrors } = parsePlan(req.body);
+    const errors = parseErrors || validatePlan(plan, { topicCount: config.topicCount });
+    if (errors.length > 0) {
+      res.status(400).json({ errors });
+      return;
+    }
+    const running = planStore.active();
+    if (running) {
+      res.status(409).json({ errors: [`Plan ${running.id} is still running`] });
+      return;
+    }
+
+    const run = planStore.start(normalizePlan(plan, config));
+    req.log.info("plan started", { planId: run.id, name: run.name, phases: run.plan.phases.length });
+    res.status(201).json({ id: run.id });
+  });
+
+  app.get("/plans/:id", (req, res) => {
+    const run = planStore.get(req.params.id);
+    if (!run) {
+      res.status(404).json({ errors: ["No plan run with that id"] });
+      return;
+    }
+    res.json(run);
+  });
+
+  app.post("/plans/:id/stop", async (req, res) => {
+    const run = await planStore.stop(req.params.id);
+    if (!run) {
+      res.status(404).json({ errors: ["No plan run with that id"] });
+      return;
+    }
+    req.log.info("plan stopped", { planId: run.id, status: run.status });
+    res.json(run);
+  });
+
+  // Workload scenario controls
+  app.get("/scenario", (req, res) => {
+    res.json(workload.getScenario());
+  });
+
+  app.post("/scenario", express.json(), (req, res) => {
+    const errors = workload.validateScenario(req.body);
+    if (errors.length > 0) {
+      res.status(400).json({ errors });
+      return;
+    }
+
+    const scenario = workload.setScenario(req.body);
+    shareScenario(scenario);
+    req.log.info("scenario updated", { scenario });
+    res.json(scenario);
+  });
+
+  app.delete("/scenario", (req, res) => {
+    const scenario = workload.resetScenario();
+    shareScenario(scenario);
+    req.log.info("scenario reset");
+    res.json(scenario);
+  });
+
+  // In cluster mode a scenario change reaches one worker; pass it to the rest
+  const SCENARIO_MESSAGE = "pressure:scenario";
+
+  const shareScenario = (scenario) => {
+    if (cluster.isWorker()) {
+      cluster.broadcastToWorkers({ type: SCENARIO_MESSAGE, scenario });
+    }
+  };
+
+  if (cluster.isWorker()) {
+    cluster.onBroadcast(SCENARIO_MESSAGE, (message) => workload.setScenario(message.scenario));
+    cluster.reportWorkerStats(() => ({
+      pid: process.pid,
+      cpuUsage: process.cpuUsage(),
+      memoryUsage: process.memoryUsage(),
+      activeRequests: activeConnections(),
+      sseSubscribers: sseClients.size,
+      wsClients: wss.clients.size,
+    }));
+  }
+
+  // Runtime configuration. PUT takes a partial object of live settings.
+  app.get("/config", (req, res) => {
+    res.json(publicConfig(config));
+  });
+
+  // Apply a validated change locally. The data source is only reconfigured
+  // where the change was made; in cluster mode that reaches the primary's.
+  const applyConfig = (patch, { configureSource }) => {
+    Object.assign(config, patch);
+    if (configureSource && ("updateIntervalMs" in patch || "lookupDelayMs" in patch)) {
+      source.configure({ intervalMs: patch.updateIntervalMs, lookupMs: patch.lookupDelayMs });
+    }
+    if ("logLevel" in patch || "logSampling" in patch) {
+      logger.configure({ level: patch.logLevel, sampling: patch.logSampling });
+    }
+    runStore.recordConfigChange(patch);
+  };
+
+  app.put("/config", express.json(), (req, res) => {
+    const errors = validateConfigPatch(req.body);
+    if (errors.length > 0) {
+      res.status(400).json({ errors });
+      return;
+    }
+
+    applyConfig(req.body, { configureSource: true });
+    if (cluster.isWorker()) {
+      cluster.broadcastToWorkers({ type: CONFIG_MESSAGE, patch: req.body });
+    }
+    req.log.info("config updated", { changes: req.body });
+    res.json(publicConfig(config));
+  });
+
+  const CONFIG_MESSAGE = "pressure:config";
+
+  if (cluster.isWorker()) {
+    cluster.onBroadcast(CONFIG_MESSAGE, (message) =>
+      applyConfig(message.patch, { configureSource: false }),
+    );
+  }
+
+  // Prometheus text exposition, in OpenMetrics format when the scraper asks for it
+  // (media types carry their version so Accept parameters negotiate correctly)
+  const PROMETHEUS_TEXT = "text/plain; version=0.0.4";
+  const OPENMETRICS_TEXT = "application/openmetrics-text; version=1.0.0";
+
+  const sendPrometheus = (req, res) => {
+    const contentType = req.accepts([PROMETHEUS_TEXT, OPENMETRICS_TEXT]) || PROMETHEUS_TEXT;
+    const openMetrics = contentType === OPENMETRICS_TEXT;
+    const body = metrics.formatPrometheus(
+      metrics.prometheusFamilies({
+        activeConnections: activeConnections(),
+        sseSubscribers: sseClients.size,
+        sseBackpressure: sseBackpressureStats(),
+        poll: pollStats(),
+        wsClients: wss.clients.size,
+        logging: logger.stats(),
+        topics: topicStats(),
+        http: transport.stats(),
+        bytesSent: bytesSentStats(),
+        admission: admission.stats(),
+        auth: auth.stats(),
+        currentValue: topics.get(DEFAULT_TOPIC).value,
+        updatesReceived,
+      }),
+      { openMetrics },
+    );
+
+    res.setHeader("Content-Type", `${contentType}; charset=utf-8`);
+    res.send(body);
+  };
+
+  app.get("/metrics/prometheus", sendPrometheus);
+
+  // Everything /metrics reports as JSON, also sampled into recorded runs
+  const metricsSnapshot = async () => ({
+    cpuUsage: process.cpuUsage(),
+    activeRequests: activeConnections(),
+    memoryUsage: process.memoryUsage(),
+    currentValue: topics.get(DEFAULT_TOPIC).value,
+    dataSource: source.name,
+    ...metrics.loopStats(),
+    routeLatency: metrics.routeLatency(),
+    emitToWriteLag: metrics.emitLag(),
+    sseBackpressure: sseBackpressureStats(),
+    poll: pollStats(),
+    logging: logger.stats(),
+    topics: topicStats(),
+    http: transport.stats(),
+    bytesSent: bytesSentStats(),
+    admission: admission.stats(),
+    auth: auth.stats(),
+    ...(cluster.isWorker() && {
+      workerPid: process.pid,
+      // Left out when the primary doesn't answer in time
+      ...(await cluster.clusterStats().then((stats) => ({ cluster: stats }), () => ({}))),
+    }),
+  });
+
+  // Metrics stream for the dashboard: pushes a snapshot every ?interval= ms
+  // (metricsStreamIntervalMs by default) instead of the page polling /metrics
+  const metricsStreams = new Set();
+
+  // Open HTTP connections, leaving out the dashboard's own metric streams
+  // where each holds a connection of its own (HTTP/1.1)
+  const activeConnections = () => {
+    let ownConnections = 0;
+    metricsStreams.forEach((res) => res.req.httpVersionMajor === 1 && ownConnections++);
+    return server._connections - ownConnections;
+  };
+
+  app.get("/metrics/stream", (req, res) => {
+    const interval = Math.min(
+      Math.max(parseInt(req.query.interval, 10) || config.metricsStreamIntervalMs, 100),
+      60000,
+    );
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    // Connection-specific headers are not allowed in HTTP/2
+    if (req.httpVersionMajor === 1) res.setHeader('Connection', 'keep-alive');
+    res.write(`retry: ${config.sseRetryMs}\n\n`);
+
+    const send = async () => {
+      const snapshot = await metricsSnapshot();
+      if (!res.writableEnded) {
+        res.write(`event: metrics\ndata: ${JSON.stringify(snapshot)}\n\n`);
+      }
+    };
+
+    metricsStreams.add(res);
+    send();
+    const timer = setInterval(send, interval);
+
+    req.on("close", () => {
+      clearInterval(timer);
+      metricsStreams.delete(res);
+    });
+  });
+
+  // Metrics endpoint
+  // JSON for the dashboard; Prometheus scrapers get text via the Accept header
+  app.get("/metrics", async (req, res) => {
+    const preferred = req.accepts(["application/json", PROMETHEUS_TEXT, OPENMETRICS_TEXT]);
+    if (preferred === PROMETHEUS_TEXT || preferred === OPENMETRICS_TEXT) {
+      sendPrometheus(req, res);
+      return;
+    }
+
+    res.json(await metricsSnapshot());
+  });
+
+  // Server clock, used by clients to correct latency measurements for clock offset
+  app.get("/time", (req, res) => {
+    res.json({ now: now() });
+  });
+
+  // Issue a token for { identity, ttlSeconds }. This stands in for an identity
+  // provider: anyone may ask for any identity, since what is being measured
+  // is the cost of checking tokens.
+  app.post("/auth/token", express.json(), (req, res) => {
+    const errors = validateTokenRequest(req.body);
+    if (errors.length > 0) {
+      res.status(400).json({ errors });
+      return;
+    }
+    const issued = auth.issue(req.body.identity, req.body.ttlSeconds);
+    req.log.info("token issued", { identity: issued.identity, expiresAt: issued.expiresAt });
+    res.json(issued);
+  });
+
+  // Polling endpoint; ?key= picks the topic
+  // Conditional requests: the ETag is the topic's current update value and
+  // Last-Modified the time of that update (to the second, as HTTP dates are),
+  // so a client that already has the latest value gets a bodiless 304 without
+  // a lookup. Several updates can share a second, so If-Modified-Since only
+  // counts when the update is at least a whole second older than it.
+  const isNotModified = (req, state) => {
+    const ifNoneMatch = req.get("If-None-Match");
+    if (ifNoneMatch) {
+      const etag = `"v${state.value}"`;
+      return ifNoneMatch
+        .split(",")
+        .some((tag) => tag.trim().replace(/^W\//, "") === etag);
+    }
+    const ifModifiedSince = Date.parse(req.get("If-Modified-Since"));
+    return !Number.isNaN(ifModifiedSince) && state.updatedAt + 1000 <= ifModifiedSince;
+  };
+
+  app.get("/poll", authenticate("poll"), async (req, res) => {
+    const requestId = req.requestId;
+    const { topic, errors } = parseKey(req.query.key);
+    if (errors) {
+      res.status(400).json({ errors });
+      return;
+    }
+    const state = topics.get(topic);
+
+    res.setHeader("Cache-Control", "no-cache");
+    if (isNotModified(req, state)) {
+      pollResponses[304]++;
+      res.setHeader("ETag", `"v${state.value}"`);
+      res.setHeader("Last-Modified", new Date(state.updatedAt).toUTCString());
+      res.status(304).end();
+      req.log.info("poll not modified", { status: 304, topic, value: state.value });
+      return;
+    }
+
+    let data;
+    try {
+      data = await pollSource.get(topic);
+    } catch (err) {
+      req.log.error("poll lookup failed", { status: 503, topic, error: err.message });
+      res.status(503).json({ errors: [`Lookup failed: ${err.message}`] });
+      return;
+    }
+
+    // Using a promise for the artificial delay
+    await new Promise(resolve => setTimeout(resolve, config.pollDelayMs));
+
+    pollResponses[200]++;
+    res.setHeader("ETag", `"v${data.value}"`);
+    res.setHeader("Last-Modified", new Date(state.updatedAt).toUTCString());
+    await sendUpdateJson(req, res, "poll", updateMessage(data, requestId), config.pollCompression);
+    if (req.identity) auth.countUpdates(req.identity);
+
+    req.log.info("poll completed", { status: 200, topic, value: data.value, identity: req.identity });
+  });
+
+  // Long-polls being held until the next update: response -> release function
+  const heldLongPolls = new Map();
+
+  // Long-polling endpoint
+  // Clients pass the last value (?value=) or update timestamp (?since=) they saw
+  // on the topic (?key=); anything newer is returned immediately, otherwise the
+  // request is held until the topic's next update or until the timeout elapses.
+  app.get("/longpoll", async (req, res) => {
+    const requestId = req.requestId;
+    const { topic, errors } = parseKey(req.query.key);
+    if (errors) {
+      res.status(400).json({ errors });
+      return;
+    }
+    const state = topics.get(topic);
+    const lastValue = req.query.value !== undefined ? Number(req.query.value) : NaN;
+    const since = req.query.since !== undefined ? Number(req.query.since) : NaN;
+    const timeout = Math.min(
+      parseInt(req.query.timeout, 10) || config.longpollTimeoutMs,
+      config.longpollTimeoutMs,
+    );
+
+    const respond = (data) => {
+      sendUpdateJson(req, res, "longpoll", updateMessage(data, requestId));
+      req.log.info("long-poll completed", { status: 200, topic, value: data.value });
+    };
+
+    // The client is behind, so answer straight away
+    if (lastValue < state.value || since < state.updatedAt) {
+      try {
+        respond(await source.get(topic));
+      } catch (err) {
+        req.log.error("long-poll lookup failed", { status: 503, topic, error: err.message });
+        res.status(503).json({ errors: [`Lookup failed: ${err.message}`] });
+      }
+      return;
+    }
+
+    const updateListener = (data) => {
+      cleanup();
+      respond(data);
+    };
+
+    const timer = setTimeout(() => {
+      cleanup();
+      res.status(204).end();
+      req.log.info("long-poll timed out", { status: 204, timeoutMs: timeout });
+    }, timeout);
+
+    // On shutdown, answer now so the client polls again elsewhere
+    const release = () => {
+      cleanup();
+      res.status(204).end();
+      req.log.info("long-poll released for shutdown", { status: 204 });
+    };
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      stopListening();
+      heldLongPolls.delete(res);
+    };
+
+    const stopListening = dataSource.subscribe([topic], updateListener);
+    heldLongPolls.set(res, release);
+
+    // Clean up if the client gives up first
+    res.on("close", cleanup);
+  });
+
+  // SSE endpoint; ?topics=a,b picks the topics (the default topic when absent)
+  // Every update is sent as a named event whose id says where the stream is,
+  // so a reconnecting EventSource's Last-Event-ID tells us exactly what it
+  // missed. On a single topic the id is the update's value; on several it is
+  // every topic's latest value, e.g. "t0:41,t3:40".
+  const sseFrame = (event, id, payload) =>
+    `event: ${event}\nid: ${id}\ndata: ${JSON.stringify(payload)}\n\n`;
+
+  // Last frame of a stream ended by shutdown(): a retry hint and a shutdown
+  // event, so EventSource reconnects (to another instance) promptly. `out` is
+  // the stream's writer.
+  const endForShutdown = (out) => {
+    const notice = { reconnectInMs: config.shutdownRetryMs };
+    out.end(
+      `retry: ${config.shutdownRetryMs}\nevent: shutdown\ndata: ${JSON.stringify(notice)}\n\n`,
+    );
+  };
+
+  const formatEventId = (positions) =>
+    [...positions].map(([topic, value]) => `${topic}:${value}`).join(",");
+
+  // Last-Event-ID -> Map of topic to the last value the client saw; topics
+  // it doesn't mention, or doesn't subscribe to any more, are left out
+  const parseEventId = (lastEventId, subscribed) => {
+    const positions = new Map();
+    if (lastEventId === undefined) return positions;
+    if (subscribed.length === 1 && /^\d+$/.test(lastEventId)) {
+      return positions.set(subscribed[0], Number(lastEventId));
+    }
+    for (const entry of String(lastEventId).split(",")) {
+      const [topic, value] = entry.split(":");
+      if (subscribed.includes(topic) && /^\d+$/.test(value)) positions.set(topic, Number(value));
+    }
+    return positions;
+  };
+
+  // Updates on a topic the client missed since lastValue, or null when the
+  // replay buffer no longer reaches back that far (or the id is from a
+  // different run)
+  const replaySince = (topic, lastValue) => {
+    const { value, replayBuffer } = topics.get(topic);
+    if (lastValue === value) return [];
+    if (lastValue > value) return null;
+    if (replayBuffer.length === 0 || lastValue < replayBuffer[0].value - 1) return null;
+    return replayBuffer.filter((update) => update.value > lastValue);
+  };
+
+  // Longest a timer can wait; later token expiries are never reached
+  const MAX_TIMER_MS = 2 ** 31 - 1;
+
+  app.get("/sse", authenticate("sse"), async (req, res) => {
+    const requestId = req.requestId;
+    const { topics: subscribed, errors } = parseTopics(req.query.topics, topics);
+    if (errors) {
+      res.status(400).json({ errors });
+      return;
+    }
+    let closed = false;
+    let heartbeat = null;
+    let stopListening = () => {};
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    // Connection-specific headers are not allowed in HTTP/2
+    if (req.httpVersionMajor === 1) res.setHeader('Connection', 'keep-alive');
+
+    // Compressed per sseCompression when the client accepts it
+    const encoding = chooseEncoding(req, config.sseCompression);
+    if (encoding) res.setHeader("Content-Encoding", encoding);
+    if (config.sseCompression !== "off") res.vary("Accept-Encoding");
+    const out = createStreamWriter(res, encoding, (uncompressed, sent) =>
+      countBytes("sse", uncompressed, sent),
+    );
+
+    // Tell the browser how soon to reconnect if the stream drops
+    out.write(`retry: ${config.sseRetryMs}\n\n`);
+
+    // Backpressure: once write() returns false the client is not keeping up,
+    // and stays "slow" until the response drains
+    let slow = false;
+    // Newest skipped update per topic, under the "latest" policy
+    const pendingUpdates = new Map();
+
+    const evict = () => {
+      closed = true;
+      sseBackpressure.evictedClients++;
+      req.log.warn("sse client evicted", { bufferedBytes: out.writableLength });
+      out.destroy();
+    };
+
+    const onDrain = () => {
+      slow = false;
+      slowSseClients.delete(res);
+      sseBackpressure.drainEvents++;
+      req.log.debug("sse client drained");
+
+      // Under the "latest" policy, catch up with the newest skipped updates
+      const pending = [...pendingUpdates.values()];
+      pendingUpdates.clear();
+      pending.forEach((data) => sendUpdate(data));
+    };
+
+    const write = (chunk) => {
+      // Ended by /sse/disconnect or shutdown, but not closed yet
+      if (closed || out.writableEnded) return;
+      if (!out.write(chunk) && !slow) {
+        slow = true;
+        slowSseClients.add(res);
+        sseBackpressure.slowEvents++;
+        out.once("drain", onDrain);
+        req.log.debug("sse client slow", { bufferedBytes: out.writableLength });
+      }
+      if (config.sseSlowPolicy === "disconnect" && out.writableLength > config.sseMaxBufferBytes) {
+        evict();
+      }
+    };
+
+    // Last value sent on this stream for each topic, for the event id
+    const positions = new Map();
+
+    const sendUpdate = (data, event = "update") => {
+      if (req.identity) auth.countUpdates(req.identity);
+      positions.set(data.topic, data.value);
+      const id = subscribed.length === 1 ? data.value : formatEventId(positions);
+      write(sseFrame(event, id, updateMessage(data, requestId)));
+    };
+
+    // Listen for updates
+    const updateListener = (data) => {
+      if (slow && config.sseSlowPolicy === "latest") {
+        if (pendingUpdates.has(data.topic)) sseBackpressure.droppedUpdates++;
+        pendingUpdates.set(data.topic, data);
+        return;
+      }
+
+      const sendStart = performance.now();
+      sendUpdate(data);
+      req.recordLatency(performance.now() - sendStart);
+      metrics.recordEmitLag("/sse", now() - data.timestamp);
+    };
+
+    // The token was checked once, so the stream lasts only as long as it
+    // does: tell the client, then end the stream
+    let tokenTimer = null;
+    let tokenExpired = false;
+    if (req.identity) {
+      auth.streamOpened(req.identity);
+      tokenTimer = setTimeout(() => {
+        tokenExpired = true;
+        const notice = { expiredAt: new Date(req.tokenExpiresAt).toISOString() };
+        write(`event: expired\ndata: ${JSON.stringify(notice)}\n\n`);
+        out.end();
+        // Also stops a stream still doing its lookups from subscribing
+        closed = true;
+        req.log.info("sse token expired", { identity: req.identity });
+      }, Math.min(req.tokenExpiresAt - now(), MAX_TIMER_MS));
+    }
+
+    // Clean up on client disconnect
+    req.on("close", () => {
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(tokenTimer);
+      stopListening();
+      sseClients.delete(res);
+      slowSseClients.delete(res);
+      if (req.identity) auth.streamClosed(req.identity, { expired: tokenExpired });
+      req.log.info("sse closed");
+    });
+
+    // Resume each topic from Last-Event-ID when we still hold what was
+    // missed, otherwise start it from a fresh snapshot
+    const lastEventId = req.get("Last-Event-ID") ?? req.query.lastEventId;
+    const resumeFrom = parseEventId(lastEventId, subscribed);
+    const canResume = (topic) =>
+      resumeFrom.has(topic) && replaySince(topic, resumeFrom.get(topic)) !== null;
+
+    const stale = subscribed.filter((topic) => !canResume(topic));
+    const snapshots = new Map();
+    if (stale.length > 0) {
+      let lookups;
+      try {
+        lookups = await Promise.all(stale.map((topic) => source.get(topic)));
+      } catch (err) {
+        // Headers are already out, so end the stream and let the client retry
+        if (closed) return;
+        req.log.error("sse lookup failed", { topics: stale, error: err.message });
+        out.end();
+        closed = true;
+        return;
+      }
+      // The client may have gone away, or shutdown started, during the lookups
+      if (closed) return;
+      if (shuttingDown) {
+        endForShutdown(out);
+        return;
+      }
+      lookups.forEach((data) => snapshots.set(data.topic, data));
+    }
+
+    // Replay is worked out after the lookups so nothing published during
+    // them is skipped. Resumed topics keep their place in every event id.
+    const missedByTopic = new Map();
+    for (const topic of subscribed) {
+      const missed = snapshots.has(topic) ? null : replaySince(topic, resumeFrom.get(topic));
+      if (missed) {
+        missedByTopic.set(topic, missed);
+        positions.set(topic, resumeFrom.get(topic));
+      }
+    }
+
+    let replayed = 0;
+    for (const topic of subscribed) {
+      const missed = missedByTopic.get(topic);
+      if (missed) {
+        missed.forEach((data) => sendUpdate(data));
+        replayed += missed.length;
+      } else {
+        // The replay buffer can move past the client during the lookups; the
+        // topic's latest update is as good as a snapshot then
+        const { value, updatedAt } = topics.get(topic);
+        sendUpdate(snapshots.get(topic) || { topic, value, timestamp: updatedAt }, "snapshot");
+      }
+    }
+
+    stopListening = dataSource.subscribe(subscribed, updateListener);
+    sseClients.set(res, out);
+    req.log.info("sse opened", {
+      topics: subscribed,
+      lastEventId: lastEventId ?? null,
+      replayed,
+      identity: req.identity,
+    });
+
+    // Comment lines keep idle proxies from timing the stream out
+    if (config.sseHeartbeatMs > 0) {
+      heartbeat = setInterval(() => write(": heartbeat\n\n"), config.sseHeartbeatMs);
+    }
+  });
+
+  // End every open SSE stream so clients reconnect with Last-Event-ID
+  app.post("/sse/disconnect", (req, res) => {
+    const disconnected = sseClients.size;
+    sseClients.forEach((client) => client.end());
+    req.log.info("sse clients disconnected", { disconnected });
+    res.json({ disconnected });
+  });
+
+  // WebSocket endpoint; ?topics= works as it does for /sse
+  // Admission happens before the upgrade, so a rejected client gets a plain
+  // HTTP error with Retry-After; its slot is held until the socket closes
+  const wss = new WebSocketServer({
+    server,
+    path: "/ws",
+    verifyClient: ({ req }, done) => {
+      const admitted = admission.admit("ws", `ip:${req.socket.remoteAddress}`);
+      if (!admitted.admitted) {
+        done(false, admitted.status, admitted.message, {
+          "Retry-After": String(admitted.retryAfterSeconds),
+        });
+        return;
+      }
+      req.socket.once("close", admitted.release);
+      done(true);
+    },
+  });
+
+  wss.on("connection", async (ws, req) => {
+    const requestId = Date.now() + Math.random().toString(36).substring(2, 9);
+    const log = logger.forRequest(requestId, "/ws");
+    const query = new URL(req.url, "http://localhost").searchParams;
+    const { topics: subscribed, errors } = parseTopics(query.get("topics") ?? undefined, topics);
+    if (errors) {
+      // 1008: policy violation; close reasons are limited to 123 bytes
+      ws.close(1008, errors.join("; ").slice(0, 120));
+      log.warn("websocket rejected", { url: loggedUrl(req.url), errors });
+      return;
+    }
+    log.info("websocket opened", { url: loggedUrl(req.url), topics: subscribed });
+
+    // Send initial data
+    let snapshots;
+    try {
+      snapshots = await Promise.all(subscribed.map((topic) => source.get(topic)));
+    } catch (err) {
+      // 1011: the server hit an unexpected condition
+      log.error("websocket lookup failed", { topics: subscribed, error: err.message });
+      if (ws.readyState === ws.OPEN) ws.close(1011, "Lookup failed");
+      return;
+    }
+    // The client may have gone away during the lookups
+    if (ws.readyState !== ws.OPEN) return;
+    const send = (data) => {
+      const message = JSON.stringify(updateMessage(data, requestId));
+      const bytes = Buffer.byteLength(message);
+      countBytes("ws", bytes, bytes);
+      ws.send(message);
+    };
+    snapshots.forEach(send);
+
+    // Listen for updates
+    const updateListener = (data) => {
+      send(data);
+      metrics.recordEmitLag("/ws", now() - data.timestamp);
+    };
+
+    const stopListening = dataSource.subscribe(subscribed, updateListener);
+
+    // Clean up on client disconnect
+    ws.on("close", () => {
+      stopListening();
+      log.info("websocket closed");
+    });
+  });
+
+  // Serve client test page
+  app.get("/", (req, res) => {
+    res.setHeader('Content-Type', 'text/html');
+    res.send(dashboardPage);
+  });
+
+  // 404 for all other routes
+  app.use(async (req, res) => {
+    res.status(404).send("Not found");
+  });
+
+  // Request bodies express.json() couldn't parse (malformed or too large)
+  // get the same 400 { errors } as any other validation failure, instead of
+  // Express's HTML error page. Anything else is still a 500.
+  // (Express needs all four parameters to treat this as an error handler.)
+  app.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) {
+      (req.log || logger).error("request failed", { error: err.message });
+      res.status(500).json({ errors: ["Internal server error"] });
+      return;
+    }
+    res.status(status).json({ errors: [err.message] });
+  });
+
+  // Log CPU usage every cpuLogIntervalMs (0 turns it off)
+  let cpuLogTimer = null;
+
+  // Start the server; resolves with the port actually bound
+  const listen = () =>
+    new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port ?? config.port, () => {
+        server.removeListener("error", reject);
+        const { port: boundPort } = server.address();
+        logger.info("server listening", {
+          port: boundPort,
+          pid: process.pid,
+          protocol: transport.protocol,
+          url: `${transport.scheme}://localhost:${boundPort}`,
+        });
+
+        source.ready
+          .then(() => logger.info("data source ready", { dataSource: source.name }))
+          .catch((err) =>
+            logger.error("data source failed to start", { dataSource: source.name, error: err.message }),
+          );
+
+        if (config.cpuLogIntervalMs > 0) {
+          cpuLogTimer = setInterval(() => {
+            const usage = process.cpuUsage();
+            const userCPUUsage = usage.user / 1000000; // Convert to seconds
+            const systemCPUUsage = usage.system / 1000000; // Convert to seconds
+            logger.info("cpu usage", {
+              userSeconds: Number(userCPUUsage.toFixed(2)),
+              systemSeconds: Number(systemCPUUsage.toFixed(2)),
+            });
+          }, config.cpuLogIntervalMs);
+        }
+
+        resolve(boundPort);
+      });
+    });
+
+  // Timers, subscriptions and the data source, once connections are gone.
+  // A source or logger passed in by the caller is left for the caller to close.
+  const releaseResources = async () => {
+    clearInterval(cpuLogTimer);
+    unsubscribe();
+    wss.close();
+    if (!injectedSource) await source.close();
+    if (!injectedLogger) logger.close();
+  };
+
+  // Stop accepting connections and drop every open one, including streams
+  const close = async () => {
+    await planStore.stopAll();
+    wss.clients.forEach((ws) => ws.terminate());
+    await new Promise((resolve) => {
+      server.close(() => resolve());
+      transport.closeAll();
+    });
+    await releaseResources();
+  };
+
+  // Graceful shutdown: stop accepting connections, tell streaming clients to
+  // reconnect elsewhere, give in-flight requests until the deadline to finish,
+  // then close whatever is left. Resolves with a summary of what happened.
+  const shutdown = async ({ deadlineMs = config.shutdownTimeoutMs, reason = "requested" } = {}) => {
+    const startedAt = performance.now();
+    shuttingDown = true;
+    const closed = new Promise((resolve) => server.close(() => resolve()));
+    // Idle keep-alive connections close now; HTTP/2 sessions get a GOAWAY,
+    // which lets their open streams finish but refuses new ones
+    transport.closeIdle();
+    logger.info("shutdown started", { reason, deadlineMs, inFlight: inFlight.size });
+    // A plan's clients would only reconnect; stop them before counting streams
+    await planStore.stopAll();
+
+    const summary = {
+      sseClientsNotified: sseClients.size,
+      wsClientsClosed: wss.clients.size,
+      longPollsReleased: heldLongPolls.size,
+      requestsDrained: 0,
+      requestsAborted: 0,
+      runsSaved: 0,
+    };
+
+    // Requests that are not streams, e.g. /poll requests still in their lookup
+    const draining = [...inFlight].filter((res) => !sseClients.has(res) && !heldLongPolls.has(res));
+
+    sseClients.forEach(endForShutdown);
+    metricsStreams.forEach((stream) => stream.end());
+    heldLongPolls.forEach((releaseLongPoll) => releaseLongPoll());
+    wss.clients.forEach((ws) => ws.close(1001, "Server shutting down"));
+
+    // Wait for everything to finish, up to the deadline
+    let deadlineTimer;
+    await Promise.race([
+      new Promise((resolve) => {
+        onRequestDone = () => inFlight.size === 0 && resolve();
+        onRequestDone();
+      }),
+      new Promise((resolve) => {
+        deadlineTimer = setTimeout(resolve, deadlineMs);
+      }),
+    ]);
+    clearTimeout(deadlineTimer);
+    summary.requestsAborted = inFlight.size;
+    summary.requestsDrained = draining.filter((res) => !inFlight.has(res)).length;
+
+    transport.closeIdle();
+    transport.closeAll();
+    wss.clients.forEach((ws) => ws.terminate());
+    await closed;
+
+    summary.runsSaved = (await runStore.stopAll()).length;
+    summary.durationMs = Number((performance.now() - startedAt).toFixed(1));
+    logger.info("shutdown complete", summary);
+    await releaseResources();
+    return summary;
+  };
+
+  return { app, server, transport, dataSource, listen, close, shutdown };
+};
+
+module.exports = { createServer };
@@ -0,0 +1,178 @@
+// test/admission.test.js
+// Rate limiting on /poll, connection caps per transport and load shedding.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const WebSocket = require("ws");
+const { createRateLimiter } = require("../admission");
+const { createClientPool } = require("../clientpool");
+const { startServer, openEventStream, waitFor } = require("./helpers");
+
+describe("rate limiter", () => {
+  it("allows a burst, then refills at the rate", () => {
+    let t = 0;
+    const limiter = createRateLimiter({ now: () => t });
+
+    for (let i = 0; i < 3; i++) assert.equal(limiter.take("a", 2, 3), 0);
+    assert.equal(limiter.take("a", 2, 3), 500);
+    // Other keys have buckets of their own
+    assert.equal(limiter.take("b", 2, 3), 0);
+
+    t = 250;
+    assert.equal(limiter.take("a", 2, 3), 250);
+    t = 500;
+    assert.equal(limiter.take("a", 2, 3), 0);
+  });
+
+  it("forgets buckets once they have refilled", () => {
+    let t = 0;
+    const limiter = createRateLimiter({ now: () => t });
+    limiter.take("a", 1, 1);
+    limiter.take("b", 1, 1);
+    assert.equal(limiter.size(), 2);
+
+    t = 10000;
+    limiter.take("c", 1, 1);
+    assert.equal(limiter.size(), 1);
+  });
+});
+
+describe("admission control", () => {
+  let app;
+
+  before(async () => {
+    app = await startServer({ config: { pollDelayMs: 0, retryAfterSeconds: 7 } });
+  });
+
+  after(() => app.close());
+
+  const setConfig = (patch) =>
+    fetch(`${app.baseUrl}/config`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(patch),
+    });
+
+  const metrics = async () => (await fetch(`${app.baseUrl}/metrics`)).json();
+
+  it("answers polls over the rate limit with 429 and Retry-After", async () => {
+    await setConfig({ pollRateLimit: 1, pollRateBurst: 2, pollRateLimitBy: "ip" });
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      const res = await fetch(`${app.baseUrl}/poll`, { headers: { "X-Client-Id": `client-${i}` } });
+      statuses.push(res.status);
+      if (res.status === 429) {
+        assert.equal(res.headers.get("retry-after"), "1");
+        assert.match((await res.json()).errors[0], /Rate limit/);
+      } else {
+        await res.text();
+      }
+    }
+    // Every client id shares the one IP
+    assert.deepEqual(statuses, [200, 200, 429]);
+
+    const { admission } = await metrics();
+    assert.equal(admission.rejected.poll.rateLimited, 1);
+    await setConfig({ pollRateLimit: 0 });
+  });
+
+  it("limits each client id on its own with pollRateLimitBy=client", async () => {
+    await setConfig({ pollRateLimit: 1, pollRateBurst: 1, pollRateLimitBy: "client" });
+    const poll = async (query, headers = {}) => {
+      const res = await fetch(`${app.baseUrl}/poll${query}`, { headers });
+      await res.text();
+      return res.status;
+    };
+
+    assert.equal(await poll("", { "X-Client-Id": "a" }), 200);
+    assert.equal(await poll("", { "X-Client-Id": "b" }), 200);
+    assert.equal(await poll("?clientId=a"), 429);
+    assert.equal(await poll("", { "X-Client-Id": "b" }), 429);
+    await setConfig({ pollRateLimit: 0 });
+  });
+
+  it("turns away SSE subscribers over sseMaxSubscribers until one leaves", async () => {
+    await setConfig({ sseMaxSubscribers: 1 });
+    const first = await openEventStream(`${app.baseUrl}/sse`);
+    assert.equal(first.res.statusCode, 200);
+
+    const second = await fetch(`${app.baseUrl}/sse`);
+    assert.equal(second.status, 503);
+    assert.equal(second.headers.get("retry-after"), "7");
+    assert.match((await second.json()).errors[0], /Too many sse clients \(limit 1\)/);
+
+    first.close();
+    await waitFor(async () => (await metrics()).admission.open.sse === 0);
+    const third = await openEventStream(`${app.baseUrl}/sse`);
+    assert.equal(third.res.statusCode, 200);
+    third.close();
+
+    assert.equal((await metrics()).admission.rejected.sse.capacity, 1);
+    await setConfig({ sseMaxSubscribers: 0 });
+  });
+
+  it("refuses WebSocket upgrades over wsMaxClients", async () => {
+    await setConfig({ wsMaxClients: 1 });
+    const url = `${app.baseUrl.replace("http", "ws")}/ws`;
+    const first = new WebSocket(url);
+    await new Promise((resolve) => first.once("open", resolve));
+
+    const second = new WebSocket(url);
+    const res = await new Promise((resolve) =>
+      second.once("unexpected-response", (req, response) => resolve(response)),
+    );
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.headers["retry-after"], "7");
+    res.destroy();
+
+    first.close();
+    await waitFor(async () => (await metrics()).admission.open.ws === 0);
+    await setConfig({ wsMaxClients: 0 });
+  });
+
+  it("keeps pool long-poll clients waiting for Retry-After once turned away", async () => {
+    await setConfig({ longpollMaxClients: 1 });
+    const pool = createClientPool({ baseUrl: app.baseUrl });
+    pool.resize("longpoll", 2);
+    await waitFor(async () => (await metrics()).admission.rejected.longpoll.capacity === 1);
+    await new Promise((resolve) => setTimeout(resolve, 500));
+
+    // One request held, one refused and not yet retried (Retry-After is 7s)
+    assert.equal(pool.stats().longpoll.requestsSent, 2);
+    assert.equal((await metrics()).admission.rejected.longpoll.capacity, 1);
+    await pool.close();
+    await waitFor(async () => (await metrics()).admission.open.longpoll === 0);
+    await setConfig({ longpollMaxClients: 0 });
+  });
+
+  it("sheds requests while the event loop lags past shedEventLoopLagMs", async () => {
+    await setConfig({ shedEventLoopLagMs: 50 });
+    // The lag is sampled once a second and a sample can end between two
+    // requests, so keep stalling the loop until the check sees it
+    const whileStalled = (check) =>
+      waitFor(
+        async () => {
+          const stallUntil = Date.now() + 200;
+          while (Date.now() < stallUntil);
+          return check();
+        },
+        { timeout: 5000, interval: 100 },
+      );
+
+    // value=-1 gets an immediate answer whenever it is let through
+    let res;
+    await whileStalled(async () => {
+      res = await fetch(`${app.baseUrl}/longpoll?value=-1`);
+      await res.text();
+      return res.status === 503;
+    });
+    assert.equal(res.headers.get("retry-after"), "7");
+
+    let body;
+    await whileStalled(async () => {
+      body = await (await fetch(`${app.baseUrl}/metrics/prometheus`)).text();
+      return /^pressure_load_shedding 1$/m.test(body);
+    });
+    assert.match(body, /^pressure_admission_rejections_total\{transport="longpoll",reason="shed"\} 1$/m);
+    await setConfig({ shedEventLoopLagMs: 0 });
+  });
+});
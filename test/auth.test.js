@@ -0,0 +1,167 @@
+// test/auth.test.js
+// Signed tokens on /poll and /sse: checked per poll, once per stream, with
+// streams ended on expiry and metrics per identity.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { signToken, verifyToken } = require("../auth");
+const { startServer, openEventStream, waitFor } = require("./helpers");
+
+describe("tokens", () => {
+  const secret = "test-secret";
+
+  it("verifies what was signed with the same secret, until it expires", () => {
+    const token = signToken({ sub: "alice", exp: 100 }, secret);
+    assert.deepEqual(verifyToken(token, secret, 99000), { identity: "alice", expiresAt: 100000 });
+    assert.equal(verifyToken(token, secret, 100000).reason, "expired");
+    assert.equal(verifyToken(token, "other-secret", 99000).reason, "invalid");
+  });
+
+  it("rejects tampered and malformed tokens", () => {
+    const token = signToken({ sub: "alice", exp: 100 }, secret);
+    const [, signature] = token.split(".");
+    const forged = `${Buffer.from(JSON.stringify({ sub: "mallory", exp: 100 })).toString("base64url")}.${signature}`;
+    assert.equal(verifyToken(forged, secret, 0).reason, "invalid");
+    assert.equal(verifyToken("not-a-token", secret, 0).reason, "invalid");
+    assert.equal(verifyToken(`${token}.extra`, secret, 0).reason, "invalid");
+  });
+});
+
+describe("authenticated subscriptions", () => {
+  let app;
+
+  before(async () => {
+    app = await startServer({ config: { pollDelayMs: 0, authRequired: true, authSecret: "test-secret" } });
+  });
+
+  after(() => app.close());
+
+  const issue = async (body) => {
+    const res = await fetch(`${app.baseUrl}/auth/token`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const metrics = async () => (await fetch(`${app.baseUrl}/metrics`)).json();
+
+  it("issues tokens and validates the request for one", async () => {
+    const { status, body } = await issue({ identity: "alice", ttlSeconds: 60 });
+    assert.equal(status, 200);
+    assert.equal(body.identity, "alice");
+    assert.ok(body.expiresAt > Date.now() + 55000);
+
+    const bad = await issue({ identity: "not allowed!", ttlSeconds: 0 });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.errors.length, 2);
+    assert.equal((await issue({})).status, 400);
+  });
+
+  it("checks the token on every poll, from the header or ?token=", async () => {
+    const missing = await fetch(`${app.baseUrl}/poll`);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get("www-authenticate"), "Bearer");
+    await missing.json();
+
+    const invalid = await fetch(`${app.baseUrl}/poll`, { headers: { Authorization: "Bearer nope" } });
+    assert.equal(invalid.status, 401);
+    assert.match(invalid.headers.get("www-authenticate"), /error="invalid_token"/);
+    await invalid.json();
+
+    const { body } = await issue({ identity: "bob" });
+    const byHeader = await fetch(`${app.baseUrl}/poll`, { headers: { Authorization: `Bearer ${body.token}` } });
+    assert.equal(byHeader.status, 200);
+    await byHeader.json();
+    const byQuery = await fetch(`${app.baseUrl}/poll?token=${body.token}`);
+    assert.equal(byQuery.status, 200);
+    await byQuery.json();
+
+    const { auth } = await metrics();
+    assert.equal(auth.identities.bob.poll, 2);
+    assert.equal(auth.identities.bob.updates, 2);
+    assert.equal(auth.failures.missing, 1);
+    assert.equal(auth.failures.invalid, 1);
+  });
+
+  it("checks an SSE token once and ends the stream when it expires", async () => {
+    const before = (await metrics()).auth.verifications.sse.count;
+    const { body } = await issue({ identity: "carol", ttlSeconds: 2 });
+    const stream = await openEventStream(`${app.baseUrl}/sse?token=${body.token}`);
+    assert.equal(stream.res.statusCode, 200);
+    await stream.next(); // retry
+    assert.equal((await stream.next()).event, "snapshot");
+
+    app.source.push();
+    assert.equal((await stream.next()).event, "update");
+    await waitFor(async () => (await metrics()).auth.identities.carol.openStreams === 1);
+
+    const expired = await stream.next();
+    assert.equal(expired.event, "expired");
+    assert.equal(JSON.parse(expired.data).expiredAt, new Date(body.expiresAt).toISOString());
+    await waitFor(async () => (await metrics()).auth.identities.carol.openStreams === 0);
+
+    const { auth } = await metrics();
+    assert.equal(auth.verifications.sse.count, before + 1);
+    assert.equal(auth.expiredStreams, 1);
+    const { sse, openStreams, updates } = auth.identities.carol;
+    assert.deepEqual({ sse, openStreams, updates }, { sse: 1, openStreams: 0, updates: 2 });
+
+    // Reconnecting with the same token is refused
+    const again = await fetch(`${app.baseUrl}/sse?token=${body.token}`);
+    assert.equal(again.status, 401);
+    await again.json();
+  });
+
+  it("can't be turned off or changed through PUT /config", async () => {
+    const res = await fetch(`${app.baseUrl}/config`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ authRequired: false, authVerifyCostMs: 0 }),
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual((await res.json()).errors, [
+      "authRequired can only be set at startup",
+      "authVerifyCostMs can only be set at startup",
+    ]);
+    assert.equal((await (await fetch(`${app.baseUrl}/config`)).json()).authRequired, true);
+  });
+
+  it("hides the secret and reports per-identity metrics to Prometheus", async () => {
+    assert.equal((await (await fetch(`${app.baseUrl}/config`)).json()).authSecret, "***");
+
+    const body = await (await fetch(`${app.baseUrl}/metrics/prometheus`)).text();
+    assert.match(body, /^pressure_auth_verifications_total\{transport="poll"\} \d+$/m);
+    assert.match(body, /^pressure_auth_failures_total\{reason="missing"\} 1$/m);
+    assert.match(body, /^pressure_identity_requests_total\{identity="bob",transport="poll"\} 2$/m);
+    assert.match(body, /^pressure_identity_open_streams\{identity="carol"\} 0$/m);
+  });
+});
+
+describe("token verification cost", () => {
+  let app;
+
+  before(async () => {
+    app = await startServer({
+      config: { pollDelayMs: 0, authRequired: true, authSecret: "test-secret", authVerifyCostMs: 20 },
+    });
+  });
+
+  after(() => app.close());
+
+  it("adds authVerifyCostMs to every verification", async () => {
+    const { token } = await (
+      await fetch(`${app.baseUrl}/auth/token`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ identity: "dave" }),
+      })
+    ).json();
+    for (let i = 0; i < 3; i++) {
+      await (await fetch(`${app.baseUrl}/poll?token=${token}`)).json();
+    }
+    const { poll } = (await (await fetch(`${app.baseUrl}/metrics`)).json()).auth.verifications;
+    assert.equal(poll.count, 3);
+    assert.ok(poll.totalMs >= 60);
+  });
+});
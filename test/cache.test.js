@@ -0,0 +1,37 @@
+// test/cache.test.js
+// The lookup cache in front of /poll: expiry on the clock it is given, shared
+// in-flight lookups and invalidation on updates.
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { withCache } = require("../datasources/cache");
+const { createTestSource } = require("./helpers");
+
+describe("withCache", () => {
+  it("reuses a lookup for ttlMs on its own clock", async () => {
+    let t = 1000;
+    const now = () => t;
+    const source = createTestSource({ now });
+    const cached = withCache(source, { ttlMs: 100, now });
+
+    assert.deepEqual(await cached.get("t0"), { topic: "t0", value: 0, timestamp: 1000 });
+    t = 1099;
+    // A hit carries the time it was answered
+    assert.deepEqual(await cached.get("t0"), { topic: "t0", value: 0, timestamp: 1099 });
+    assert.deepEqual(cached.cacheStats(), { ttlMs: 100, hits: 1, misses: 1 });
+
+    t = 1100;
+    await cached.get("t0");
+    assert.deepEqual(cached.cacheStats(), { ttlMs: 100, hits: 1, misses: 2 });
+  });
+
+  it("shares in-flight lookups and drops a topic's entry on its next update", async () => {
+    const source = createTestSource({ lookupMs: 10 });
+    const cached = withCache(source, { ttlMs: 60000 });
+
+    const [a, b] = await Promise.all([cached.get("t0"), cached.get("t0")]);
+    assert.equal(a, b);
+    source.push("t0");
+    assert.equal((await cached.get("t0")).value, 1);
+    assert.deepEqual(cached.cacheStats(), { ttlMs: 60000, hits: 1, misses: 2 });
+  });
+});
@@ -0,0 +1,120 @@
+// test/compression.test.js
+// Synthetic payloads, /poll and /sse compression, and bytes sent per transport.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createPayloads } = require("../payloads");
+const { startServer, openEventStream } = require("./helpers");
+
+describe("payloads", () => {
+  it("comes out at about payloadBytes in every shape", () => {
+    for (const payloadShape of ["filler", "text", "records", "random"]) {
+      const payloads = createPayloads({ payloadBytes: 2000, payloadShape, payloadChurnPercent: 0 });
+      const size = JSON.stringify(payloads.forUpdate({ topic: "t0", value: 1 })).length;
+      assert.ok(size >= 2000 && size < 2200, `${payloadShape} payload is ${size} bytes`);
+    }
+    const off = createPayloads({ payloadBytes: 0, payloadShape: "records", payloadChurnPercent: 0 });
+    assert.equal(off.forUpdate({ topic: "t0", value: 1 }), null);
+  });
+
+  it("churns the given share once per new value of a topic", () => {
+    const config = { payloadBytes: 4096, payloadShape: "random", payloadChurnPercent: 25 };
+    const payloads = createPayloads(config);
+    const chunks = (payload) => payload.match(/.{1,64}/g);
+
+    const first = chunks(payloads.forUpdate({ topic: "t0", value: 1 }));
+    assert.deepEqual(chunks(payloads.forUpdate({ topic: "t0", value: 1 })), first);
+
+    const second = chunks(payloads.forUpdate({ topic: "t0", value: 2 }));
+    const changed = second.filter((chunk, i) => chunk !== first[i]).length;
+    // 16 of 64 chunks are regenerated, some possibly more than once
+    assert.ok(changed > 0 && changed <= 16, `${changed} chunks changed`);
+
+    config.payloadChurnPercent = 0;
+    assert.deepEqual(chunks(payloads.forUpdate({ topic: "t0", value: 3 })), second);
+  });
+});
+
+describe("compression", () => {
+  let app;
+
+  before(async () => {
+    app = await startServer({
+      config: {
+        pollDelayMs: 0,
+        payloadBytes: 4096,
+        payloadShape: "records",
+        pollCompression: "auto",
+        sseCompression: "gzip",
+      },
+    });
+  });
+
+  after(() => app.close());
+
+  const metrics = async () => (await fetch(`${app.baseUrl}/metrics`)).json();
+
+  it("compresses /poll bodies in the encoding the client prefers", async () => {
+    const before = (await metrics()).bytesSent.poll;
+
+    const brotli = await fetch(`${app.baseUrl}/poll`, { headers: { "Accept-Encoding": "gzip, br" } });
+    assert.equal(brotli.headers.get("content-encoding"), "br");
+    assert.equal(brotli.headers.get("vary"), "Accept-Encoding");
+    assert.equal((await brotli.json()).padding.length > 0, true);
+
+    const gzip = await fetch(`${app.baseUrl}/poll`, { headers: { "Accept-Encoding": "gzip" } });
+    assert.equal(gzip.headers.get("content-encoding"), "gzip");
+    await gzip.json();
+
+    const identity = await fetch(`${app.baseUrl}/poll`, { headers: { "Accept-Encoding": "identity" } });
+    assert.equal(identity.headers.get("content-encoding"), null);
+    const size = (await identity.text()).length;
+
+    const after = (await metrics()).bytesSent.poll;
+    assert.equal(after.uncompressedBytes - before.uncompressedBytes, size * 3);
+    // Records share their keys, so the two compressed bodies are much smaller
+    assert.ok(after.sentBytes - before.sentBytes < size * 1.5);
+    assert.ok(after.ratio < 1);
+  });
+
+  it("leaves bodies under compressionMinBytes alone", async () => {
+    await fetch(`${app.baseUrl}/config`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ payloadBytes: 0 }),
+    });
+    const res = await fetch(`${app.baseUrl}/poll`, { headers: { "Accept-Encoding": "gzip" } });
+    assert.equal(res.headers.get("content-encoding"), null);
+    await res.json();
+    await fetch(`${app.baseUrl}/config`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ payloadBytes: 4096 }),
+    });
+  });
+
+  it("flushes every compressed /sse event as it is sent", async () => {
+    const before = (await metrics()).bytesSent.sse;
+    const stream = await openEventStream(`${app.baseUrl}/sse`, { "Accept-Encoding": "gzip" });
+    assert.equal(stream.res.headers["content-encoding"], "gzip");
+
+    await stream.next(); // retry
+    assert.equal((await stream.next()).event, "snapshot");
+    // Each event arrives on its own, without the stream ending
+    for (let i = 1; i <= 3; i++) {
+      app.source.push();
+      assert.equal(JSON.parse((await stream.next()).data).data.value, i);
+    }
+    stream.close();
+
+    const after = (await metrics()).bytesSent.sse;
+    assert.ok(after.uncompressedBytes - before.uncompressedBytes > 4 * 4096);
+    // With the compressor's window spanning events, repeats cost little
+    assert.ok(after.sentBytes - before.sentBytes < (after.uncompressedBytes - before.uncompressedBytes) / 2);
+  });
+
+  it("reports bytes sent per transport in Prometheus", async () => {
+    const body = await (await fetch(`${app.baseUrl}/metrics/prometheus`)).text();
+    assert.match(body, /^pressure_update_sent_bytes_total\{transport="poll",stage="sent"\} \d+$/m);
+    assert.match(body, /^pressure_update_sent_bytes_total\{transport="sse",stage="uncompressed"\} \d+$/m);
+  });
+});
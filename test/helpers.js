@@ -0,0 +1,115 @@
+// test/helpers.js
+// Shared setup for the integration tests: a server on a free port backed by a
+// data source the test drives by hand.
+const EventEmitter = require("events");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { createServer } = require("../server");
+const { loadConfig } = require("../config");
+
+// Data source whose updates are pushed by the test, with a counter per topic
+// starting at `value`. `lookupMs` delays get() like a remote lookup would.
+const createTestSource = ({ value = 0, lookupMs = 0, now = Date.now } = {}) => {
+  const emitter = new EventEmitter();
+  const current = new Map();
+  const latest = (topic) => current.get(topic) || { topic, value, timestamp: now() };
+
+  return {
+    name: "test",
+    ready: Promise.resolve(),
+    get: (topic) =>
+      new Promise((resolve) => setTimeout(() => resolve({ ...latest(topic) }), lookupMs)),
+    subscribe: (listener) => {
+      emitter.on("update", listener);
+      return () => emitter.removeListener("update", listener);
+    },
+    close: async () => emitter.removeAllListeners(),
+    // Publish the topic's next value to subscribers
+    push: (topic = "t0") => {
+      const update = { topic, value: latest(topic).value + 1, timestamp: now() };
+      current.set(topic, update);
+      emitter.emit("update", update);
+      return update;
+    },
+  };
+};
+
+// Start a server and return it with its base URL; call close() when done.
+// `config` holds settings that differ from the test defaults.
+const startServer = async ({ config = {}, ...options } = {}) => {
+  const source = options.source || createTestSource();
+  const instance = createServer({
+    port: 0,
+    source,
+    config: loadConfig({
+      overrides: {
+        pollCacheTtlMs: 0,
+        sseHeartbeatMs: 0,
+        cpuLogIntervalMs: 0,
+        logLevel: "off",
+        runsFile: path.join(os.tmpdir(), `pressure-test-runs-${process.pid}.ndjson`),
+        ...config,
+      },
+    }),
+    ...options,
+  });
+  const port = await instance.listen();
+  return { ...instance, source, baseUrl: `${instance.transport.scheme}://127.0.0.1:${port}` };
+};
+
+// Decompressors for the encodings the server may pick
+const decoders = { gzip: () => zlib.createGunzip(), br: () => zlib.createBrotliDecompress() };
+
+// Open an SSE stream and collect parsed frames, decompressing them if the
+// server compressed the stream. `next()` resolves with the next frame, whether
+// or not it has arrived yet.
+const openEventStream = (url, headers = {}) =>
+  new Promise((resolve, reject) => {
+    const req = http.get(url, { headers }, (res) => {
+      const frames = [];
+      const waiting = [];
+      let buffer = "";
+
+      const encoding = res.headers["content-encoding"];
+      const body = encoding ? res.pipe(decoders[encoding]()) : res;
+      body.setEncoding("utf8");
+      body.on("data", (chunk) => {
+        buffer += chunk;
+        let boundary;
+        while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+          const frame = {};
+          for (const line of buffer.slice(0, boundary).split("\n")) {
+            const colon = line.indexOf(":");
+            const field = line.slice(0, colon);
+            frame[field || "comment"] = line.slice(colon + 1).trimStart();
+          }
+          buffer = buffer.slice(boundary + 2);
+          if (waiting.length > 0) waiting.shift()(frame);
+          else frames.push(frame);
+        }
+      });
+
+      resolve({
+        res,
+        next: () =>
+          frames.length > 0
+            ? Promise.resolve(frames.shift())
+            : new Promise((resolveFrame) => waiting.push(resolveFrame)),
+        close: () => req.destroy(),
+      });
+    });
+    req.on("error", reject);
+  });
+
+// Resolve once check() is true (or resolves true), or fail after `timeout` ms
+const waitFor = async (check, { timeout = 2000, interval = 10 } = {}) => {
+  const deadline = Date.now() + timeout;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+};
+
+module.exports = { createTestSource, startServer, openEventStream, waitFor };
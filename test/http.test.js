@@ -0,0 +1,239 @@
+// test/http.test.js
+// Request/response routes: /poll, /longpoll, /metrics, /time, / and the 404,
+// and how every transport answers a failed data source lookup.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const WebSocket = require("ws");
+const { startServer, createTestSource } = require("./helpers");
+
+describe("HTTP routes", () => {
+  const FIXED_NOW = Date.parse("2024-01-01T00:00:00Z");
+  let app;
+
+  before(async () => {
+    const now = () => FIXED_NOW;
+    app = await startServer({ now, source: createTestSource({ now }) });
+    // The server tracks the current value from updates, not the first lookup
+    for (let i = 0; i < 5; i++) app.source.push();
+  });
+
+  after(() => app.close());
+
+  describe("GET /poll", () => {
+    it("returns the current value with request metadata", async () => {
+      const res = await fetch(`${app.baseUrl}/poll`);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get("etag"), '"v5"');
+
+      const body = await res.json();
+      assert.deepEqual(body.data, { topic: "t0", value: 5, timestamp: FIXED_NOW });
+      assert.equal(body.server_processed_at, new Date(FIXED_NOW).toISOString());
+      assert.equal(typeof body.request_id, "string");
+    });
+
+    it("answers 304 when the client already has the current value", async () => {
+      const res = await fetch(`${app.baseUrl}/poll`, { headers: { "If-None-Match": '"v5"' } });
+      assert.equal(res.status, 304);
+      assert.equal(res.headers.get("etag"), '"v5"');
+    });
+
+    it("ignores If-Modified-Since for updates in the same second", async () => {
+      let t = FIXED_NOW + 100;
+      const clock = () => t;
+      const local = await startServer({ now: clock, source: createTestSource({ now: clock }) });
+      try {
+        local.source.push();
+        const first = await fetch(`${local.baseUrl}/poll`);
+        await first.json();
+        const lastModified = first.headers.get("last-modified");
+
+        // A second update, still within the second Last-Modified names
+        t = FIXED_NOW + 600;
+        local.source.push();
+        const stale = await fetch(`${local.baseUrl}/poll`, {
+          headers: { "If-Modified-Since": lastModified },
+        });
+        assert.equal(stale.status, 200);
+        assert.equal((await stale.json()).data.value, 2);
+
+        const later = new Date(FIXED_NOW + 2000).toUTCString();
+        const fresh = await fetch(`${local.baseUrl}/poll`, { headers: { "If-Modified-Since": later } });
+        assert.equal(fresh.status, 304);
+      } finally {
+        await local.close();
+      }
+    });
+  });
+
+  describe("GET /longpoll", () => {
+    it("answers immediately when the client is behind", async () => {
+      const res = await fetch(`${app.baseUrl}/longpoll?value=3`);
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).data.value, 5);
+    });
+
+    it("holds the request until the next update", async () => {
+      const pending = fetch(`${app.baseUrl}/longpoll?value=5`);
+      // Give the request time to reach the server and subscribe
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      app.source.push();
+
+      const res = await pending;
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).data.value, 6);
+      assert.equal(app.dataSource.listenerCount(), 0);
+    });
+  });
+
+  describe("GET /metrics", () => {
+    it("reports process, event loop and transport figures as JSON", async () => {
+      const res = await fetch(`${app.baseUrl}/metrics`);
+      assert.equal(res.status, 200);
+
+      const body = await res.json();
+      for (const field of [
+        "cpuUsage",
+        "activeRequests",
+        "memoryUsage",
+        "currentValue",
+        "dataSource",
+        "eventLoopDelay",
+        "eventLoopUtilization",
+        "routeLatency",
+        "emitToWriteLag",
+        "sseBackpressure",
+        "poll",
+      ]) {
+        assert.ok(field in body, `missing ${field}`);
+      }
+      assert.equal(body.dataSource, "test");
+      assert.equal(typeof body.memoryUsage.heapUsed, "number");
+    });
+
+    it("serves Prometheus text when the Accept header asks for it", async () => {
+      const res = await fetch(`${app.baseUrl}/metrics`, {
+        headers: { Accept: "text/plain; version=0.0.4" },
+      });
+      assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+      assert.match(await res.text(), /^pressure_current_value_total \d+$/m);
+    });
+  });
+
+  it("GET /time reports the server clock", async () => {
+    const res = await fetch(`${app.baseUrl}/time`);
+    assert.deepEqual(await res.json(), { now: FIXED_NOW });
+  });
+
+  it("GET / serves the test page", async () => {
+    const res = await fetch(`${app.baseUrl}/`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/html/);
+    const page = await res.text();
+    assert.match(page, /<!DOCTYPE html>/);
+    assert.match(page, /<script>/);
+  });
+
+  it("answers unknown routes with 404", async () => {
+    const res = await fetch(`${app.baseUrl}/no-such-route`);
+    assert.equal(res.status, 404);
+    assert.equal(await res.text(), "Not found");
+  });
+
+  it("answers malformed JSON bodies with 400 and the parse error", async () => {
+    const res = await fetch(`${app.baseUrl}/runs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{bad",
+    });
+    assert.equal(res.status, 400);
+    const { errors } = await res.json();
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /JSON/);
+  });
+
+  it("only starts runs for the page's test modes", async () => {
+    const res = await fetch(`${app.baseUrl}/runs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ mode: "<img src=x onerror=alert(1)>", clients: 1 }),
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual((await res.json()).errors, ["mode must be one of polling, longpoll, sse, ws"]);
+  });
+
+  it("rejects run samples with negative latencies", async () => {
+    const res = await fetch(`${app.baseUrl}/runs/any/samples`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ samples: [{ t: 0, type: "poll", latency: -5 }] }),
+    });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).errors[0], /latency >= 0/);
+  });
+});
+
+describe("failed lookups", () => {
+  let app;
+
+  before(async () => {
+    const source = createTestSource();
+    source.get = async () => {
+      throw new Error("source unavailable");
+    };
+    app = await startServer({ config: { pollDelayMs: 0 }, source });
+  });
+
+  after(() => app.close());
+
+  it("answers /poll and /longpoll with 503", async () => {
+    for (const path of ["/poll", "/longpoll?value=-1"]) {
+      const res = await fetch(`${app.baseUrl}${path}`);
+      assert.equal(res.status, 503);
+      assert.deepEqual(await res.json(), { errors: ["Lookup failed: source unavailable"] });
+    }
+  });
+
+  it("ends SSE streams and closes WebSockets", async () => {
+    // The stream ends after its retry hint, with no snapshot
+    const stream = await fetch(`${app.baseUrl}/sse`);
+    assert.equal(stream.status, 200);
+    assert.match(await stream.text(), /^retry: \d+\n\n$/);
+
+    const ws = new WebSocket(`${app.baseUrl.replace("http", "ws")}/ws`);
+    const [code] = await new Promise((resolve) => ws.once("close", (...args) => resolve(args)));
+    assert.equal(code, 1011);
+
+    // Still serving
+    assert.equal((await fetch(`${app.baseUrl}/time`)).status, 200);
+  });
+});
+
+describe("runs that can't be saved", () => {
+  let app;
+
+  before(async () => {
+    app = await startServer({ config: { runsFile: "/nonexistent-dir/runs.ndjson" } });
+  });
+
+  const post = (path, body) =>
+    fetch(`${app.baseUrl}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  it("answers 500 and keeps the run active, also through shutdown", async () => {
+    const { id } = await (await post("/runs", { mode: "polling", clients: 1 })).json();
+
+    const res = await post(`/runs/${id}/stop`);
+    assert.equal(res.status, 500);
+    assert.match((await res.json()).errors[0], /^Could not save run: ENOENT/);
+
+    const [run] = await (await fetch(`${app.baseUrl}/runs`)).json();
+    assert.equal(run.active, true);
+    assert.equal(run.endedAt, null);
+
+    const summary = await app.shutdown({ deadlineMs: 500 });
+    assert.equal(summary.runsSaved, 0);
+  });
+});
@@ -0,0 +1,142 @@
+// test/http2.test.js
+// HTTP/2 modes: h2c and TLS with a generated certificate, streams counted
+// per session, and clients sharing one session.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const https = require("https");
+const http2 = require("http2");
+const os = require("os");
+const path = require("path");
+const WebSocket = require("ws");
+const { createClientPool } = require("../clientpool");
+const { startServer, waitFor } = require("./helpers");
+
+// GET over an HTTP/2 session; resolves with the status, headers and body
+const request = (session, requestPath, headers = {}) =>
+  new Promise((resolve, reject) => {
+    const stream = session.request({ ":path": requestPath, ...headers });
+    let responseHeaders;
+    let body = "";
+    stream.setEncoding("utf8");
+    stream.on("response", (received) => (responseHeaders = received));
+    stream.on("data", (chunk) => (body += chunk));
+    stream.on("end", () => resolve({ status: responseHeaders[":status"], headers: responseHeaders, body }));
+    stream.on("error", reject);
+  });
+
+describe("h2c", () => {
+  let app;
+  let session;
+
+  before(async () => {
+    app = await startServer({ config: { httpProtocol: "h2c" } });
+    session = http2.connect(app.baseUrl);
+  });
+
+  after(async () => {
+    session.destroy();
+    await app.close();
+  });
+
+  it("serves /poll with ETags and the dashboard", async () => {
+    const first = await request(session, "/poll");
+    assert.equal(first.status, 200);
+    assert.equal(JSON.parse(first.body).data.topic, "t0");
+
+    const repeat = await request(session, "/poll", { "if-none-match": first.headers.etag });
+    assert.equal(repeat.status, 304);
+
+    const page = await request(session, "/");
+    assert.equal(page.status, 200);
+    assert.match(page.body, /<html/);
+
+    assert.equal((await request(session, "/poll?key=t9")).status, 400);
+  });
+
+  it("streams /sse to clients sharing one session, and counts streams per session", async () => {
+    const pool = createClientPool({ baseUrl: app.baseUrl, protocol: "h2" });
+    pool.resize("sse", 3);
+    await waitFor(() => app.dataSource.listenerCount() === 3);
+
+    app.source.push();
+    await waitFor(() => pool.stats().sse.messages === 6);
+    assert.equal(pool.stats().sse.connectionsOpened, 3);
+
+    const { body } = await request(session, "/metrics");
+    const { http } = JSON.parse(body);
+    assert.equal(http.protocol, "h2c");
+    // The pool's session and ours
+    assert.equal(http.sessions, 2);
+    // Three event streams and this request
+    assert.equal(http.streams, 4);
+    assert.equal(http.streamsPerSession, 2);
+
+    const prometheus = await request(session, "/metrics/prometheus");
+    assert.match(prometheus.body, /^pressure_http2_sessions 2$/m);
+    assert.match(prometheus.body, /^pressure_http2_streams 4$/m);
+
+    await pool.close();
+    await waitFor(() => app.dataSource.listenerCount() === 0);
+  });
+});
+
+describe("h2 over TLS", () => {
+  const certDir = fs.mkdtempSync(path.join(os.tmpdir(), "pressure-certs-"));
+  const tlsCertFile = path.join(certDir, "cert.pem");
+  const tlsKeyFile = path.join(certDir, "key.pem");
+  let app;
+
+  before(async () => {
+    app = await startServer({ config: { httpProtocol: "h2", tlsCertFile, tlsKeyFile } });
+  });
+
+  after(async () => {
+    await app.close();
+    fs.rmSync(certDir, { recursive: true, force: true });
+  });
+
+  it("generates a self-signed certificate and negotiates h2", async () => {
+    assert.ok(fs.existsSync(tlsCertFile));
+    assert.ok(fs.existsSync(tlsKeyFile));
+    assert.match(app.baseUrl, /^https:/);
+
+    const session = http2.connect(app.baseUrl, { rejectUnauthorized: false });
+    const { status, body } = await request(session, "/metrics");
+    session.destroy();
+    assert.equal(status, 200);
+    assert.equal(JSON.parse(body).http.protocol, "h2");
+  });
+
+  it("falls back to HTTP/1.1, which WebSockets need", async () => {
+    const status = await new Promise((resolve, reject) => {
+      https
+        .get(`${app.baseUrl}/poll`, { rejectUnauthorized: false }, (res) => {
+          res.resume();
+          resolve(`${res.httpVersion} ${res.statusCode}`);
+        })
+        .on("error", reject);
+    });
+    assert.equal(status, "1.1 200");
+
+    const ws = new WebSocket(`${app.baseUrl.replace("https", "wss")}/ws`, { rejectUnauthorized: false });
+    const message = await new Promise((resolve, reject) => {
+      ws.once("message", resolve);
+      ws.once("error", reject);
+    });
+    assert.equal(JSON.parse(message).data.topic, "t0");
+    ws.terminate();
+  });
+
+  it("sends a GOAWAY on shutdown and ends streams with the shutdown event", async () => {
+    const draining = await startServer({ config: { httpProtocol: "h2", tlsCertFile, tlsKeyFile } });
+    const pool = createClientPool({ baseUrl: draining.baseUrl, protocol: "h2" });
+    pool.resize("sse", 2);
+    await waitFor(() => draining.dataSource.listenerCount() === 2);
+
+    const summary = await draining.shutdown({ deadlineMs: 1000 });
+    assert.equal(summary.sseClientsNotified, 2);
+    await waitFor(() => pool.stats().sse.shutdownNotices === 2);
+    await pool.close();
+  });
+});
@@ -0,0 +1,130 @@
+// test/logger.test.js
+// Structured logger: levels, batching, sampling and request correlation.
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createLogger } = require("../logger");
+const { startServer, openEventStream, waitFor } = require("./helpers");
+
+// Logger writing into an array; nothing is written until flush()
+const captureLogger = (options = {}) => {
+  const chunks = [];
+  const logger = createLogger({
+    flushIntervalMs: 60000,
+    output: { write: (chunk) => chunks.push(chunk) },
+    ...options,
+  });
+  const entries = () =>
+    chunks
+      .join("")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  return { logger, chunks, entries };
+};
+
+describe("createLogger", () => {
+  it("writes one JSON object per entry, batched until flushed", () => {
+    const { logger, chunks, entries } = captureLogger({ now: () => 0 });
+    logger.info("first", { a: 1 });
+    logger.warn("second");
+    assert.equal(chunks.length, 0);
+
+    logger.flush();
+    assert.equal(chunks.length, 1);
+    assert.deepEqual(entries(), [
+      { time: "1970-01-01T00:00:00.000Z", level: "info", msg: "first", a: 1 },
+      { time: "1970-01-01T00:00:00.000Z", level: "warn", msg: "second" },
+    ]);
+    logger.close();
+  });
+
+  it("skips entries below the level, and everything when off", () => {
+    const { logger, entries } = captureLogger({ level: "warn" });
+    logger.info("hidden");
+    logger.error("shown");
+    logger.configure({ level: "off" });
+    logger.error("also hidden");
+    logger.flush();
+
+    assert.deepEqual(entries().map((entry) => entry.msg), ["shown"]);
+    assert.equal(logger.stats().level, "off");
+    logger.close();
+  });
+
+  it("samples requests per route but always keeps warnings", () => {
+    const { logger, entries } = captureLogger({ sampling: "/poll=0" });
+    const poll = logger.forRequest("r1", "/poll");
+    poll.info("poll completed");
+    poll.warn("poll trouble");
+    logger.forRequest("r2", "/sse").info("sse opened");
+    logger.flush();
+
+    assert.deepEqual(
+      entries().map(({ requestId, route, msg }) => ({ requestId, route, msg })),
+      [
+        { requestId: "r1", route: "/poll", msg: "poll trouble" },
+        { requestId: "r2", route: "/sse", msg: "sse opened" },
+      ],
+    );
+    assert.equal(logger.stats().sampledOut, 1);
+    logger.close();
+  });
+
+  it("drops entries rather than grow past the buffer cap", () => {
+    const { logger } = captureLogger({ maxBufferBytes: 200 });
+    for (let i = 0; i < 10; i++) logger.info("x".repeat(50));
+    const stats = logger.stats();
+    assert.ok(stats.dropped > 0);
+    assert.ok(stats.bufferedBytes <= 200);
+    logger.close();
+  });
+});
+
+describe("request correlation", () => {
+  const { logger, entries } = captureLogger();
+  let app;
+
+  after(async () => {
+    await app.close();
+    logger.close();
+  });
+
+  it("tags /poll and SSE lifecycle entries with the request id", async () => {
+    app = await startServer({ logger });
+
+    const body = await (await fetch(`${app.baseUrl}/poll`)).json();
+
+    const stream = await openEventStream(`${app.baseUrl}/sse`);
+    await stream.next();
+    const snapshot = JSON.parse((await stream.next()).data);
+    stream.close();
+    await waitFor(() => app.dataSource.listenerCount() === 0);
+
+    logger.flush();
+    const byRequest = (id) => entries().filter((entry) => entry.requestId === id);
+    assert.deepEqual(
+      byRequest(body.request_id).map((entry) => entry.msg),
+      ["poll completed"],
+    );
+    assert.deepEqual(
+      byRequest(snapshot.request_id).map((entry) => [entry.route, entry.msg]),
+      [
+        ["/sse", "sse opened"],
+        ["/sse", "sse closed"],
+      ],
+    );
+  });
+
+  it("masks ?token= in logged URLs", async () => {
+    logger.configure({ level: "debug" });
+    await (await fetch(`${app.baseUrl}/poll?key=t0&token=not-for-the-logs`)).json();
+    logger.configure({ level: "info" });
+
+    logger.flush();
+    const received = entries().filter((entry) => entry.msg === "request received");
+    assert.deepEqual(
+      received.map((entry) => entry.url),
+      ["/poll?key=t0&token=***"],
+    );
+  });
+});
@@ -0,0 +1,158 @@
+// test/plans.test.js
+// Plan parsing and validation, and plan runs through /plans.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePlan, validatePlan, normalizePlan } = require("../plans");
+const { forkClientPool } = require("../clientpool");
+const { startServer, waitFor } = require("./helpers");
+
+describe("plans", () => {
+  it("reads YAML text and passes parsed JSON through", () => {
+    const yaml = "name: ramp\nphases:\n  - duration: 2\n    clients: { sse: 10 }\n";
+    assert.deepEqual(parsePlan(yaml), {
+      plan: { name: "ramp", phases: [{ duration: 2, clients: { sse: 10 } }] },
+    });
+    assert.deepEqual(parsePlan({ phases: [] }), { plan: { phases: [] } });
+    assert.match(parsePlan("phases: [").errors[0], /^Plan is not valid YAML/);
+  });
+
+  it("reports every problem with a plan at once", () => {
+    const errors = validatePlan(
+      {
+        pool: "remote",
+        topics: 5,
+        phases: [{ duration: 0, clients: { udp: 1, sse: -1 } }, { duration: 1, ramp: "yes" }],
+      },
+      { topicCount: 2 },
+    );
+    assert.deepEqual(errors, [
+      "pool must be one of: child, in-process",
+      "topics must be an integer between 1 and 2 (the server's topicCount)",
+      "phases[0].duration must be a number of seconds between 0 and 86400",
+      "phases[0].clients: unknown transport udp, expected one of: poll, longpoll, sse, ws",
+      "phases[0].clients.sse must be an integer between 0 and 100000",
+      "phases[1].ramp must be true or false",
+    ]);
+    assert.deepEqual(validatePlan({ phases: [] }, { topicCount: 1 }), [
+      "phases must be a non-empty list",
+    ]);
+  });
+
+  it("fills in defaults", () => {
+    const plan = normalizePlan({ phases: [{ duration: 1 }] }, { clientIntervalMs: 250 });
+    assert.deepEqual(plan, {
+      name: "unnamed plan",
+      pool: "child",
+      sampleIntervalMs: 1000,
+      topics: 1,
+      phases: [
+        { name: "phase 1", duration: 1, ramp: false, clients: {}, interval: 250, conditional: false },
+      ],
+    });
+  });
+});
+
+describe("/plans", () => {
+  let app;
+
+  before(async () => {
+    app = await startServer();
+  });
+
+  after(() => app.close());
+
+  const startPlan = (plan) =>
+    fetch(`${app.baseUrl}/plans`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(plan),
+    });
+
+  const finished = async (id) => {
+    let run;
+    await waitFor(
+      async () => {
+        run = await (await fetch(`${app.baseUrl}/plans/${id}`)).json();
+        return run.status !== "running";
+      },
+      { timeout: 5000, interval: 50 },
+    );
+    return run;
+  };
+
+  it("runs each phase and lines samples up with phase boundaries", async () => {
+    const res = await startPlan({
+      name: "step up",
+      pool: "in-process",
+      sampleIntervalMs: 100,
+      phases: [
+        { name: "streams", duration: 0.3, clients: { sse: 3 } },
+        { name: "pollers", duration: 0.3, clients: { poll: 2 }, interval: 50 },
+        { name: "drain", duration: 0.2, clients: { sse: 0, poll: 0 } },
+      ],
+    });
+    assert.equal(res.status, 201);
+    const run = await finished((await res.json()).id);
+
+    assert.equal(run.status, "completed");
+    assert.deepEqual(
+      run.phases.map((phase) => [phase.name, phase.targets.sse, phase.targets.poll]),
+      [
+        ["streams", 3, 0],
+        ["pollers", 3, 2],
+        ["drain", 0, 0],
+      ],
+    );
+    run.phases.forEach((phase, i) => {
+      assert.ok(phase.endOffsetMs > phase.startOffsetMs);
+      const samples = run.samples.filter((sample) => sample.phase === i);
+      assert.ok(samples.length > 0, `no samples in ${phase.name}`);
+      assert.ok(samples.every((sample) => sample.offsetMs >= phase.startOffsetMs));
+      assert.ok(phase.summary.server);
+    });
+    assert.equal(run.phases[1].summary.clients.poll.clients, 2);
+    assert.ok(run.phases[1].summary.clients.poll.messages > 0);
+    await waitFor(() => app.dataSource.listenerCount() === 0);
+  });
+
+  it("accepts YAML, and runs one plan at a time until stopped", async () => {
+    const res = await fetch(`${app.baseUrl}/plans`, {
+      method: "POST",
+      headers: { "Content-Type": "application/yaml" },
+      body: "pool: in-process\nphases:\n  - name: long hold\n    duration: 60\n    clients: { ws: 2 }\n",
+    });
+    assert.equal(res.status, 201);
+    const { id } = await res.json();
+
+    const second = await startPlan({ phases: [{ duration: 1 }] });
+    assert.equal(second.status, 409);
+
+    const stopped = await fetch(`${app.baseUrl}/plans/${id}/stop`, { method: "POST" });
+    assert.equal((await stopped.json()).status, "stopped");
+    await waitFor(() => app.dataSource.listenerCount() === 0);
+  });
+
+  it("drives the clients from a child process by default", async () => {
+    const res = await startPlan({ phases: [{ duration: 0.5, clients: { sse: 2 } }] });
+    const run = await finished((await res.json()).id);
+    assert.equal(run.status, "completed");
+    assert.ok(run.phases[0].summary.clients.sse.messages >= 2);
+  });
+
+  it("fails requests to a pool process that dies before answering", async () => {
+    // A base URL that isn't one ends the child as it starts the pool
+    const pool = forkClientPool({ baseUrl: "not a url" });
+    await assert.rejects(pool.stats(), /^Error: Client pool process exited \(code 1\)$/);
+    await pool.close();
+  });
+
+  it("rejects invalid plans and unknown ids", async () => {
+    const res = await startPlan({ phases: [{ duration: 1, clients: { sse: "many" } }] });
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), {
+      errors: ["phases[0].clients.sse must be an integer between 0 and 100000"],
+    });
+
+    assert.equal((await fetch(`${app.baseUrl}/plans/nope`)).status, 404);
+  });
+});
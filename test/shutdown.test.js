@@ -0,0 +1,53 @@
+// test/shutdown.test.js
+// Graceful shutdown: streams are told to reconnect, in-flight requests drain
+// within the deadline and new connections are refused.
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, openEventStream } = require("./helpers");
+
+describe("shutdown", () => {
+  it("notifies SSE clients, releases long-polls and drains /poll", async () => {
+    const app = await startServer({ config: { pollDelayMs: 200, shutdownRetryMs: 250 } });
+
+    const stream = await openEventStream(`${app.baseUrl}/sse`);
+    await stream.next();
+    await stream.next();
+    const ended = new Promise((resolve) => stream.res.on("end", resolve));
+
+    const longPoll = fetch(`${app.baseUrl}/longpoll?value=0`);
+    const poll = fetch(`${app.baseUrl}/poll`);
+    // Let both requests reach their handlers
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const summary = await app.shutdown({ deadlineMs: 2000 });
+
+    assert.deepEqual(await stream.next(), {
+      retry: "250",
+      event: "shutdown",
+      data: JSON.stringify({ reconnectInMs: 250 }),
+    });
+    await ended;
+    assert.equal((await longPoll).status, 204);
+    assert.equal((await poll).status, 200);
+
+    assert.equal(summary.sseClientsNotified, 1);
+    assert.equal(summary.longPollsReleased, 1);
+    assert.equal(summary.requestsDrained, 1);
+    assert.equal(summary.requestsAborted, 0);
+    assert.equal(app.dataSource.listenerCount(), 0);
+
+    await assert.rejects(fetch(`${app.baseUrl}/poll`));
+  });
+
+  it("cuts off requests still running at the deadline", async () => {
+    const app = await startServer({ config: { pollDelayMs: 1000 } });
+
+    const poll = fetch(`${app.baseUrl}/poll`);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const summary = await app.shutdown({ deadlineMs: 100 });
+    assert.equal(summary.requestsAborted, 1);
+    assert.ok(summary.durationMs < 1000);
+    await assert.rejects(poll);
+  });
+});
@@ -0,0 +1,102 @@
+// test/sse.test.js
+// /sse framing, Last-Event-ID replay and listener cleanup.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, createTestSource, openEventStream, waitFor } = require("./helpers");
+
+describe("GET /sse", () => {
+  let app;
+
+  before(async () => {
+    app = await startServer({ config: { sseRetryMs: 1500 } });
+  });
+
+  after(() => app.close());
+
+  it("sends a retry hint, a snapshot, then one frame per update", async () => {
+    const stream = await openEventStream(`${app.baseUrl}/sse`);
+    assert.equal(stream.res.headers["content-type"], "text/event-stream");
+    assert.equal(stream.res.headers["cache-control"], "no-cache");
+
+    assert.deepEqual(await stream.next(), { retry: "1500" });
+
+    const snapshot = await stream.next();
+    assert.equal(snapshot.event, "snapshot");
+    assert.equal(snapshot.id, "0");
+    assert.equal(JSON.parse(snapshot.data).data.value, 0);
+
+    const pushed = app.source.push();
+    const update = await stream.next();
+    assert.equal(update.event, "update");
+    assert.equal(update.id, String(pushed.value));
+    const payload = JSON.parse(update.data);
+    assert.deepEqual(payload.data, pushed);
+    assert.equal(typeof payload.request_id, "string");
+
+    stream.close();
+    await waitFor(() => app.dataSource.listenerCount() === 0);
+  });
+
+  it("replays updates missed since Last-Event-ID instead of a snapshot", async () => {
+    const lastSeen = app.source.push().value;
+    app.source.push();
+    app.source.push();
+
+    const stream = await openEventStream(`${app.baseUrl}/sse`, {
+      "Last-Event-ID": String(lastSeen),
+    });
+    await stream.next(); // retry hint
+
+    const replayed = [await stream.next(), await stream.next()];
+    assert.deepEqual(
+      replayed.map((frame) => [frame.event, Number(frame.id)]),
+      [
+        ["update", lastSeen + 1],
+        ["update", lastSeen + 2],
+      ],
+    );
+
+    stream.close();
+    await waitFor(() => app.dataSource.listenerCount() === 0);
+  });
+
+  it("removes its update listener when the client disconnects", async () => {
+    const stream = await openEventStream(`${app.baseUrl}/sse`);
+    await stream.next();
+    await stream.next();
+    assert.equal(app.dataSource.listenerCount(), 1);
+
+    stream.close();
+    await waitFor(() => app.dataSource.listenerCount() === 0);
+  });
+});
+
+describe("SSE listener leaks", () => {
+  let app;
+
+  before(async () => {
+    // A slow lookup so some clients leave before their snapshot is sent
+    app = await startServer({ source: createTestSource({ lookupMs: 20 }) });
+  });
+
+  after(() => app.close());
+
+  it("leaves no update listeners after many connect/disconnect cycles", async () => {
+    for (let round = 0; round < 10; round++) {
+      const streams = await Promise.all(
+        Array.from({ length: 20 }, () => openEventStream(`${app.baseUrl}/sse`)),
+      );
+      // Half wait for their snapshot, half disconnect during the lookup
+      await Promise.all(
+        streams.slice(0, 10).map(async (stream) => {
+          await stream.next();
+          await stream.next();
+        }),
+      );
+      app.source.push();
+      streams.forEach((stream) => stream.close());
+    }
+
+    await waitFor(() => app.dataSource.listenerCount() === 0);
+  });
+});
@@ -0,0 +1,179 @@
+// test/topics.test.js
+// Topic routing, and topic selection on /sse, /poll and /ws.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const WebSocket = require("ws");
+const { createTopicRouter, parseTopics } = require("../topics");
+const { startServer, openEventStream, waitFor } = require("./helpers");
+
+describe("createTopicRouter", () => {
+  it("calls only the listeners subscribed to an update's topic", () => {
+    const router = createTopicRouter();
+    const seen = [];
+    router.subscribe(["a"], (update) => seen.push(["first", update.value]));
+    router.subscribe(["a", "b"], (update) => seen.push(["second", update.value]));
+
+    router.publish({ topic: "b", value: 1 });
+    router.publish({ topic: "c", value: 2 });
+    assert.deepEqual(seen, [["second", 1]]);
+    assert.deepEqual(router.stats(), { activeTopics: 2, subscriptions: 3, deliveries: 1 });
+  });
+
+  it("forgets topics once their last listener unsubscribes", () => {
+    const router = createTopicRouter();
+    const unsubscribe = router.subscribe(["a", "b"], () => {});
+    assert.equal(router.listenerCount("a"), 1);
+
+    unsubscribe();
+    unsubscribe();
+    assert.equal(router.listenerCount(), 0);
+    assert.equal(router.stats().activeTopics, 0);
+  });
+
+  it("lets a listener unsubscribe while it is being called", () => {
+    const router = createTopicRouter();
+    const calls = [];
+    const unsubscribe = router.subscribe(["a"], () => {
+      calls.push("once");
+      unsubscribe();
+    });
+    router.subscribe(["a"], () => calls.push("always"));
+
+    router.publish({ topic: "a", value: 1 });
+    router.publish({ topic: "a", value: 2 });
+    assert.deepEqual(calls, ["once", "always", "always"]);
+  });
+});
+
+describe("parseTopics", () => {
+  const known = new Set(["t0", "t1", "t2"]);
+
+  it("defaults to t0 and removes duplicates", () => {
+    assert.deepEqual(parseTopics(undefined, known), { topics: ["t0"] });
+    assert.deepEqual(parseTopics("t2, t1,t2", known), { topics: ["t2", "t1"] });
+  });
+
+  it("reports every unknown topic", () => {
+    assert.deepEqual(parseTopics("t1,x,y", known), {
+      errors: ["Unknown topic: x", "Unknown topic: y"],
+    });
+    assert.deepEqual(parseTopics(["t1", "t2"], known), {
+      errors: ["topics must be a comma-separated list"],
+    });
+  });
+});
+
+describe("topic subscriptions", () => {
+  let app;
+
+  before(async () => {
+    app = await startServer({ config: { topicCount: 3 } });
+  });
+
+  after(() => app.close());
+
+  it("streams only the requested topics over /sse", async () => {
+    const stream = await openEventStream(`${app.baseUrl}/sse?topics=t1,t2`);
+    await stream.next(); // retry hint
+
+    const snapshots = [await stream.next(), await stream.next()];
+    assert.deepEqual(
+      snapshots.map((frame) => [frame.event, frame.id]),
+      [
+        ["snapshot", "t1:0"],
+        ["snapshot", "t1:0,t2:0"],
+      ],
+    );
+
+    app.source.push("t0");
+    app.source.push("t2");
+    const update = await stream.next();
+    assert.equal(update.id, "t1:0,t2:1");
+    assert.deepEqual(JSON.parse(update.data).data.topic, "t2");
+    assert.equal(app.dataSource.listenerCount("t0"), 0);
+
+    stream.close();
+    await waitFor(() => app.dataSource.listenerCount() === 0);
+  });
+
+  it("resumes each topic from a multi-topic Last-Event-ID", async () => {
+    const t1 = app.source.push("t1").value;
+    const t2 = app.source.push("t2").value;
+    app.source.push("t1");
+
+    const stream = await openEventStream(`${app.baseUrl}/sse?topics=t1,t2`, {
+      "Last-Event-ID": `t1:${t1},t2:${t2}`,
+    });
+    await stream.next(); // retry hint
+
+    const replayed = await stream.next();
+    assert.equal(replayed.event, "update");
+    assert.equal(replayed.id, `t1:${t1 + 1},t2:${t2}`);
+
+    app.source.push("t2");
+    assert.equal((await stream.next()).id, `t1:${t1 + 1},t2:${t2 + 1}`);
+
+    stream.close();
+    await waitFor(() => app.dataSource.listenerCount() === 0);
+  });
+
+  it("rejects unknown topics before opening a stream", async () => {
+    const res = await fetch(`${app.baseUrl}/sse?topics=t1,nope`);
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { errors: ["Unknown topic: nope"] });
+  });
+
+  it("answers /poll for one key, with its own ETag", async () => {
+    const pushed = app.source.push("t2");
+
+    const res = await fetch(`${app.baseUrl}/poll?key=t2`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("etag"), `"v${pushed.value}"`);
+    assert.deepEqual((await res.json()).data.topic, "t2");
+
+    const other = await fetch(`${app.baseUrl}/poll?key=t0`, {
+      headers: { "If-None-Match": `"v${pushed.value}"` },
+    });
+    assert.equal(other.status, 200);
+
+    const several = await fetch(`${app.baseUrl}/poll?key=t0,t1`);
+    assert.equal(several.status, 400);
+    assert.deepEqual(await several.json(), { errors: ["key must name a single topic"] });
+  });
+
+  it("subscribes /ws clients to ?topics=", async () => {
+    const ws = new WebSocket(`${app.baseUrl.replace("http", "ws")}/ws?topics=t1`);
+    const messages = [];
+    ws.on("message", (raw) => messages.push(JSON.parse(raw.toString())));
+
+    await waitFor(() => app.dataSource.listenerCount("t1") === 1);
+    app.source.push("t0");
+    const pushed = app.source.push("t1");
+    await waitFor(() => messages.length === 2);
+    assert.deepEqual(messages[1].data, pushed);
+
+    ws.close();
+    await waitFor(() => app.dataSource.listenerCount() === 0);
+  });
+
+  it("closes /ws connections that ask for unknown topics", async () => {
+    const ws = new WebSocket(`${app.baseUrl.replace("http", "ws")}/ws?topics=nope`);
+    const [code, reason] = await new Promise((resolve) =>
+      ws.on("close", (closeCode, closeReason) => resolve([closeCode, closeReason.toString()])),
+    );
+    assert.equal(code, 1008);
+    assert.equal(reason, "Unknown topic: nope");
+  });
+
+  it("reports the default topic's value and updates across all topics to Prometheus", async () => {
+    const { currentValue } = await (await fetch(`${app.baseUrl}/metrics`)).json();
+    const before = await (await fetch(`${app.baseUrl}/metrics/prometheus`)).text();
+    const received = Number(/^pressure_updates_received_total (\d+)$/m.exec(before)[1]);
+
+    app.source.push("t1");
+    app.source.push("t2");
+    const body = await (await fetch(`${app.baseUrl}/metrics/prometheus`)).text();
+    assert.match(body, new RegExp(`^pressure_current_value_total ${currentValue}$`, "m"));
+    assert.match(body, new RegExp(`^pressure_updates_received_total ${received + 2}$`, "m"));
+  });
+});
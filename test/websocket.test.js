@@ -0,0 +1,33 @@
+// test/websocket.test.js
+// /ws pushes the current value, then every update.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const WebSocket = require("ws");
+const { startServer, waitFor } = require("./helpers");
+
+describe("WebSocket /ws", () => {
+  let app;
+
+  before(async () => {
+    app = await startServer();
+  });
+
+  after(() => app.close());
+
+  it("sends the current value, then updates, and cleans up on close", async () => {
+    const ws = new WebSocket(`${app.baseUrl.replace("http", "ws")}/ws`);
+    const messages = [];
+    ws.on("message", (raw) => messages.push(JSON.parse(raw.toString())));
+
+    await waitFor(() => messages.length === 1);
+    assert.equal(messages[0].data.value, 0);
+
+    await waitFor(() => app.dataSource.listenerCount() === 1);
+    const pushed = app.source.push();
+    await waitFor(() => messages.length === 2);
+    assert.deepEqual(messages[1].data, pushed);
+
+    ws.close();
+    await waitFor(() => app.dataSource.listenerCount() === 0);
+  });
+});
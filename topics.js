@@ -0,0 +1,66 @@
+// topics.js
+// Topic routing. Every update belongs to one topic, and listeners are kept in
+// a set per topic, so publishing touches only that topic's subscribers however
+// many other topics and clients there are.
+
+// Topics are named t0..t{count-1}; t0 is what clients get when they don't ask
+const topicNames = (count) => Array.from({ length: count }, (_, i) => `t${i}`);
+
+const DEFAULT_TOPIC = "t0";
+
+const createTopicRouter = () => {
+  const listeners = new Map();
+  let subscriptions = 0;
+  let deliveries = 0;
+
+  // Listen to updates on each of `topics`; returns an unsubscribe function
+  const subscribe = (topics, listener) => {
+    for (const topic of topics) {
+      if (!listeners.has(topic)) listeners.set(topic, new Set());
+      listeners.get(topic).add(listener);
+      subscriptions++;
+    }
+
+    return () => {
+      for (const topic of topics) {
+        const set = listeners.get(topic);
+        if (!set || !set.delete(listener)) continue;
+        subscriptions--;
+        if (set.size === 0) listeners.delete(topic);
+      }
+    };
+  };
+
+  const publish = (update) => {
+    const set = listeners.get(update.topic);
+    if (!set) return;
+    // Listeners may unsubscribe while being called; Set iteration allows that
+    for (const listener of set) {
+      deliveries++;
+      listener(update);
+    }
+  };
+
+  return {
+    subscribe,
+    publish,
+    // Subscriptions on one topic, or on all of them
+    listenerCount: (topic) =>
+      topic === undefined ? subscriptions : listeners.has(topic) ? listeners.get(topic).size : 0,
+    stats: () => ({ activeTopics: listeners.size, subscriptions, deliveries }),
+  };
+};
+
+// Topics from a comma-separated query value. Returns { topics } or { errors }.
+const parseTopics = (query, known) => {
+  if (query === undefined || query === "") return { topics: [DEFAULT_TOPIC] };
+  if (typeof query !== "string") return { errors: ["topics must be a comma-separated list"] };
+
+  const topics = [...new Set(query.split(",").map((topic) => topic.trim()).filter(Boolean))];
+  const unknown = topics.filter((topic) => !known.has(topic));
+  if (topics.length === 0) return { errors: ["topics must name at least one topic"] };
+  if (unknown.length > 0) return { errors: unknown.map((topic) => `Unknown topic: ${topic}`) };
+  return { topics };
+};
+
+module.exports = { DEFAULT_TOPIC, topicNames, createTopicRouter, parseTopics };
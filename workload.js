@@ -0,0 +1,131 @@
+// workload.js
+// Injectable blocking workloads. Everything here deliberately runs on the main
+// thread so it congests the event loop the rest of the demo is measuring.
+const { performance } = require("perf_hooks");
+
+// Limits keep a typo in the dashboard from freezing the server outright
+const LIMITS = {
+  cpuPerRequestMs: 1000,
+  burstIntervalMs: 60000,
+  burstDurationMs: 5000,
+  jsonPayloadKb: 10240,
+  gcPressureMb: 1024,
+};
+
+const DEFAULT_SCENARIO = {
+  // Synchronous busy-wait added to every /poll, /longpoll and /sse request
+  cpuPerRequestMs: 0,
+  // Every burstIntervalMs, block the loop for burstDurationMs
+  burstIntervalMs: 0,
+  burstDurationMs: 0,
+  // Size of an object serialized with JSON.stringify on every request
+  jsonPayloadKb: 0,
+  // Short-lived garbage allocated per second
+  gcPressureMb: 0,
+};
+
+let scenario = { ...DEFAULT_SCENARIO };
+let burstTimer = null;
+let gcTimer = null;
+let jsonPayload = null;
+
+// Spin on the clock so the time is spent on-CPU rather than in a timer
+const blockFor = (ms) => {
+  const end = performance.now() + ms;
+  while (performance.now() < end) {
+    // busy-wait
+  }
+};
+
+// Roughly `kb` kilobytes once serialized: an array of ~55 byte records
+const buildJsonPayload = (kb) => {
+  const records = [];
+  for (let i = 0; i < Math.ceil((kb * 1024) / 55); i++) {
+    records.push({ id: i, name: `record-${i}`, value: i * 1.5, ok: true });
+  }
+  return records;
+};
+
+// Allocate and immediately drop many small objects so the collector has to run
+const GC_TICK_MS = 100;
+const allocateGarbage = (mb) => {
+  const objectsPerTick = Math.round((mb * 1024 * 1024) / 100 / (1000 / GC_TICK_MS));
+  let garbage = [];
+  for (let i = 0; i < objectsPerTick; i++) {
+    garbage.push({ index: i, payload: "x".repeat(32), nested: { at: i } });
+    // Drop references in chunks so most objects die young
+    if (garbage.length >= 1000) garbage = [];
+  }
+};
+
+const applyTimers = () => {
+  clearInterval(burstTimer);
+  clearInterval(gcTimer);
+  burstTimer = null;
+  gcTimer = null;
+
+  if (scenario.burstIntervalMs > 0 && scenario.burstDurationMs > 0) {
+    burstTimer = setInterval(() => blockFor(scenario.burstDurationMs), scenario.burstIntervalMs);
+    burstTimer.unref();
+  }
+
+  if (scenario.gcPressureMb > 0) {
+    gcTimer = setInterval(() => allocateGarbage(scenario.gcPressureMb), GC_TICK_MS);
+    gcTimer.unref();
+  }
+};
+
+// Returns a list of problems with a partial scenario; empty when valid
+const validateScenario = (patch) => {
+  const errors = [];
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+    return ["Scenario must be a JSON object"];
+  }
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (!(key in LIMITS)) {
+      errors.push(`Unknown scenario field: ${key}`);
+    } else if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      errors.push(`${key} must be a non-negative number`);
+    } else if (value > LIMITS[key]) {
+      errors.push(`${key} must be at most ${LIMITS[key]}`);
+    }
+  }
+
+  const merged = { ...scenario, ...patch };
+  if (merged.burstDurationMs > 0 && merged.burstIntervalMs > 0 &&
+      merged.burstDurationMs >= merged.burstIntervalMs) {
+    errors.push("burstDurationMs must be shorter than burstIntervalMs");
+  }
+  return errors;
+};
+
+// Merge a validated partial scenario into the active one
+const setScenario = (patch) => {
+  scenario = { ...scenario, ...patch };
+  jsonPayload = scenario.jsonPayloadKb > 0 ? buildJsonPayload(scenario.jsonPayloadKb) : null;
+  applyTimers();
+  return scenario;
+};
+
+const resetScenario = () => {
+  scenario = { ...DEFAULT_SCENARIO };
+  jsonPayload = null;
+  applyTimers();
+  return scenario;
+};
+
+// Per-request share of the scenario, run synchronously by the request handler
+const runRequestWorkload = () => {
+  if (scenario.cpuPerRequestMs > 0) blockFor(scenario.cpuPerRequestMs);
+  if (jsonPayload) JSON.stringify(jsonPayload);
+};
+
+module.exports = {
+  getScenario: () => scenario,
+  validateScenario,
+  setScenario,
+  resetScenario,
+  runRequestWorkload,
+  blockFor,
+};